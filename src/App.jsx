@@ -1,68 +1,127 @@
-import { useRef, useState, useEffect, useCallback } from 'react'
+import { useRef, useState, useEffect, useCallback, useMemo } from 'react'
+import { FEC_RATES } from './fec.js'
+import { Demodulator } from './demodulator.js'
+import { MFSK_ORDERS } from './bitpack.js'
+import {
+    TYPE_TEXT, TYPE_IMAGE, TYPE_FILE, TYPE_ACK, FLAG_ACK_REQ, FLAG_COMPRESSED, FLAG_ENCRYPTED, PROTOCOL_VERSION,
+    BROADCAST, MAX_STATION_ID, forStation
+} from './packet.js'
+import { packPayload, decompress } from './compress.js'
+import { encryptPayload, decryptPayload, SEAL_OVERHEAD } from './crypto.js'
+import { encodeFilePayload, decodeFilePayload, formatBytes } from './file.js'
+import {
+    DEFAULT_CONFIG, PREAMBLES, toneLadder, ladderFits, airtime, preambleTones,
+    encodeTransfer, renderTransfer, renderFrame, demodulatorOptions, rxLadderOrder, PacketAssembler
+} from './modem.js'
+import { BAND_PLANS, PROFILES, profilePlan, bandConfig, bandFits, minSampleRate } from './bands.js'
+import { TransferReassembler, missingSegments, newTransferId } from './transfer.js'
+import { ArqSender, ARQ_WINDOW, ARQ_MAX_TRIES, ACK_TURNAROUND_MS, encodeAck } from './arq.js'
+import { CHANNEL_PARAMS, CHANNEL_DEFAULTS, roomImpulse, impairTransmission } from './channel.js'
+import { SWEEP_PARAMS, sweepValues, runSweep } from './sweep.js'
+import { encodeWav } from './wav.js'
+import { addReception, listReceptions, deleteReception, matchesQuery, exportJson, exportZip } from './history.js'
+import { Waterfall } from './waterfall.js'
+import { CarrierSense, ChannelWait, LBT_TIMEOUT_MS, senseBands } from './carrier.js'
+import { LEGACY_VERSION, LEGACY_PREAMBLE_FREQ } from './legacy.js'
+import demodWorkletUrl from './rx-worklet.js?worker&url'
+import channelWorkletUrl from './channel-worklet.js?worker&url'
 
 // ══════════════════════════════════════════════════════════
 // CONSTANTS
 // ══════════════════════════════════════════════════════════
-// Preamble: alternating between two tones ABOVE the MFSK data band.
-// Base freq 1000 + (15*200) = 4000Hz max. Preamble at 4400 & 4800 ensures no collision
-// and avoids the poor <1000Hz freq response of cheap cell phone speakers.
-const PRE_TONE_A = 4400  // Hz
-const PRE_TONE_B = 4800  // Hz
-const PREAMBLE_PAIRS = 3   // 3 A-B alternations = 6 symbol durations
-
-const MAGIC = [0x41, 0x43, 0x53, 0x54]
-const TYPE_TEXT = 0x54
-const TYPE_IMAGE = 0x49
-const HEADER_LEN = 16
-const RX_IDLE = 0, RX_SYNC = 1, RX_DATA = 2
-
-// ── Packet helpers ──
-function buildHeader(type, payloadLen, imgW = 0, imgH = 0) {
-    const h = new Uint8Array(HEADER_LEN)
-    h[0] = MAGIC[0]; h[1] = MAGIC[1]; h[2] = MAGIC[2]; h[3] = MAGIC[3]
-    h[4] = type
-    h[5] = (payloadLen >> 24) & 0xff; h[6] = (payloadLen >> 16) & 0xff
-    h[7] = (payloadLen >> 8) & 0xff; h[8] = payloadLen & 0xff
-    h[9] = (imgW >> 8) & 0xff; h[10] = imgW & 0xff
-    h[11] = (imgH >> 8) & 0xff; h[12] = imgH & 0xff
-    return h
+const WAV_RATE = 48000      // sample rate of exported WAVs and of decoded recordings
+const WAV_PAD_MS = 500      // silence around an exported transmission (the receiver learns its noise floor first)
+const SWEEP_FLOOR = 1e-4    // lowest error rate on the sweep plot; zero errors are drawn here
+const ARQ_TICK_MS = 250     // how often a waiting ARQ sender checks its ACK timeout
+const LBT_POLL_MS = 50      // how often a transmission waiting for the channel checks it
+const CARRIER_SENSE_MS = 50 // how often carrier sense reads the analyser while listening
+const STATION_KEY = 'acoust.stationId'   // localStorage key of this device's own station ID
+
+// Hex symbol value, two digits once the order needs them
+function symLabel(i, order) {
+    return i.toString(16).toUpperCase().padStart(order > 16 ? 2 : 1, '0')
 }
 
-function parseHeader(bytes) {
-    if (bytes.length < HEADER_LEN) return null
-    for (let i = 0; i < 4; i++) if (bytes[i] !== MAGIC[i]) return null
-    const type = bytes[4]
-    const payloadLen = (bytes[5] << 24) | (bytes[6] << 16) | (bytes[7] << 8) | bytes[8]
-    const imgW = (bytes[9] << 8) | bytes[10]
-    const imgH = (bytes[11] << 8) | bytes[12]
-    return { type, payloadLen, imgW, imgH }
+// "TEXT", "IMAGE", "FILE" or '' for a packet type
+function typeLabel(type) {
+    return type === TYPE_TEXT ? 'TEXT' : type === TYPE_IMAGE ? 'IMAGE' : type === TYPE_FILE ? 'FILE' : ''
 }
 
-function bytesToNibbles(bytes) {
-    const out = []
-    for (const b of bytes) { out.push((b >> 4) & 0xf); out.push(b & 0xf) }
-    return out
+// This device's station ID: the one saved last time, else a random one (saved once changed)
+function loadStationId() {
+    const saved = Number(localStorage.getItem(STATION_KEY))
+    return Number.isInteger(saved) && saved > 0 && saved <= MAX_STATION_ID ? saved : 1 + Math.floor(Math.random() * MAX_STATION_ID)
 }
 
-function nibblesToBytes(nibbles) {
-    const out = []
-    for (let i = 0; i + 1 < nibbles.length; i += 2)
-        out.push(((nibbles[i] & 0xf) << 4) | (nibbles[i + 1] & 0xf))
-    return new Uint8Array(out)
+// "#12", or "ALL" for the broadcast address
+function stationLabel(id) {
+    return id === BROADCAST ? 'ALL' : `#${id}`
 }
 
-function playTone(ctx, dest, freq, startTime, duration, gain = 0.4) {
-    const osc = ctx.createOscillator()
-    const gn = ctx.createGain()
-    osc.connect(gn); gn.connect(dest)
-    osc.type = 'sine'
-    osc.frequency.setValueAtTime(freq, startTime)
-    gn.gain.setValueAtTime(0, startTime)
-    gn.gain.linearRampToValueAtTime(gain, startTime + 0.004)
-    gn.gain.setValueAtTime(gain, startTime + duration - 0.006)
-    gn.gain.linearRampToValueAtTime(0, startTime + duration)
-    osc.start(startTime)
-    osc.stop(startTime + duration + 0.01)
+// "FROM #12 → ALL · CH 3" for a received header; legacy frames carry no address
+function addressLabel(hdr) {
+    return hdr.channel === null ? 'LEGACY, UNADDRESSED' : `FROM #${hdr.src} → ${stationLabel(hdr.dst)} · CH ${hdr.channel}`
+}
+
+// Frequency range { lo, hi } (Hz) shown by the spectrum and the waterfall: every band listened
+// to (each config's ladder at its order, and its preamble) with a little room either side. It
+// starts at 0 Hz unless the bands sit well above it, as on the quiet profile, and stops at Nyquist.
+function spectrumSpan(configs, sampleRate) {
+    const tones = configs.flatMap(c => [...toneLadder(c, c.order), ...preambleTones(c)])
+    const bottom = Math.min(...tones), top = Math.max(...tones), pad = (top - bottom) * 0.15
+    return { lo: bottom > 2 * pad ? bottom - pad : 0, hi: Math.min(top + pad, sampleRate / 2) }
+}
+
+// "17.13" kHz for a tone
+function kHz(f) {
+    return (f / 1000).toFixed(2)
+}
+
+// Segment numbers as people count them: "2, 5, 7"
+function segmentList(indices) {
+    return indices.map(i => i + 1).join(', ')
+}
+
+// Status column of the reception history
+const HISTORY_STATUS = {
+    ok: '✓ OK', locked: '🔒 LOCKED', header: '✗ HEADER CRC', payload: '✗ PAYLOAD CRC', version: '✗ VERSION',
+    nosync: '✗ NO SYNC', short: '✗ SHORT', damaged: '✗ DAMAGED'
+}
+
+// Saves a Blob through a temporary link
+function download(blob, name) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url; a.download = name
+    a.click()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// "2026-10-19T14-03-07-123Z", safe in file names
+function fileStamp(ms = Date.now()) {
+    return new Date(ms).toISOString().replace(/[:.]/g, '-')
+}
+
+function bytesToHex(bytes, max = bytes.length) {
+    const hex = Array.from(bytes.slice(0, max)).map(b => b.toString(16).padStart(2, '0')).join(' ')
+    return bytes.length > max ? `${hex} …` : hex
+}
+
+// Splits decoded UTF-8 into runs of characters, flagging runs that contain low-confidence bytes.
+function markLowConfidence(bytes, low) {
+    const runs = []
+    for (let i = 0; i < bytes.length;) {
+        const b = bytes[i]
+        const n = b >= 0xf0 ? 4 : b >= 0xe0 ? 3 : b >= 0xc0 ? 2 : 1
+        const text = new TextDecoder().decode(bytes.subarray(i, i + n))
+        let isLow = false
+        for (let j = i; j < Math.min(i + n, bytes.length); j++) isLow = isLow || low[j]
+        const last = runs[runs.length - 1]
+        if (last && last.low === isLow) last.text += text
+        else runs.push({ text, low: isLow })
+        i += n
+    }
+    return runs
 }
 
 // ══════════════════════════════════════════════════════════
@@ -71,40 +130,59 @@ function playTone(ctx, dest, freq, startTime, duration, gain = 0.4) {
 export default function App() {
 
     // ── Config ──
-    const [symDuration, setSymDuration] = useState(120)
-    const [baseFreq, setBaseFreq] = useState(1000)
-    const [freqSpacing, setFreqSpacing] = useState(200)
+    const [symDuration, setSymDuration] = useState(DEFAULT_CONFIG.symDuration)
+    const [baseFreq, setBaseFreq] = useState(DEFAULT_CONFIG.baseFreq)
+    const [freqSpacing, setFreqSpacing] = useState(DEFAULT_CONFIG.freqSpacing)
     const [imgSize, setImgSize] = useState(48)
-    const [threshold, setThreshold] = useState(0.08)
+    const [snrMargin, setSnrMargin] = useState(DEFAULT_CONFIG.snrMargin)   // dB above the per-tone noise floor
+    const [fecRate, setFecRate] = useState(DEFAULT_CONFIG.fecRate)
+    const [preamble, setPreamble] = useState(DEFAULT_CONFIG.preamble)
+    const [order, setOrder] = useState(DEFAULT_CONFIG.order)          // MFSK order used for transmitting
     const [loopback, setLoopback] = useState(false) // route TX directly into RX analyser
-
-    // Refs for stale-closure-safe access inside intervals
-    const symDurRef = useRef(symDuration)
-    const baseFreqRef = useRef(baseFreq)
-    const spacingRef = useRef(freqSpacing)
-    const threshRef = useRef(threshold)
-
-    useEffect(() => { symDurRef.current = symDuration }, [symDuration])
-    useEffect(() => { baseFreqRef.current = baseFreq }, [baseFreq])
-    useEffect(() => { spacingRef.current = freqSpacing }, [freqSpacing])
-    useEffect(() => { threshRef.current = threshold }, [threshold])
-
-    const baudRate = Math.round((4 / symDuration) * 1000)
-
-    const getFreqsLive = () =>
-        Array.from({ length: 16 }, (_, i) => baseFreqRef.current + i * spacingRef.current)
-
-    const getFreqs = useCallback(() =>
-        Array.from({ length: 16 }, (_, i) => baseFreq + i * freqSpacing),
-        [baseFreq, freqSpacing]
+    const [channelSim, setChannelSim] = useState(false) // pass the loopback through the channel simulator
+    const [channel, setChannel] = useState(CHANNEL_DEFAULTS)
+    const [profile, setProfile] = useState('audible')      // QUIET puts everything at 17–20 kHz
+    const [bandPlanId, setBandPlanId] = useState('full')   // see bands.js
+    const [bandIndex, setBandIndex] = useState(0)          // this station's own sub-band of the plan
+
+    // ── Addressing (see forStation() in packet.js) ──
+    const [stationId, setStationId] = useState(loadStationId)   // this device's own ID, kept across reloads
+    const [channelNo, setChannelNo] = useState(0)               // room channel sent on and listened to
+    const [destId, setDestId] = useState(BROADCAST)             // station transmissions are addressed to
+    const [monitor, setMonitor] = useState(false)               // show traffic for every station and channel
+    useEffect(() => { localStorage.setItem(STATION_KEY, String(stationId)) }, [stationId])
+    const txAddr = { src: stationId, dst: destId, channel: channelNo }
+    // In loopback this device also plays the receiving end, so it answers as the station addressed
+    const rxStation = { id: loopback && destId !== BROADCAST ? destId : stationId, channel: channelNo }
+
+    // Refs for stale-closure-safe access inside callbacks
+    const marginRef = useRef(snrMargin)
+    useEffect(() => { marginRef.current = snrMargin }, [snrMargin])
+
+    // On a band plan the own sub-band replaces the ladder and the preamble, and caps the order
+    const plan = profilePlan(profile, bandPlanId)
+    const band = plan.bands?.[bandIndex] ?? plan.bands?.[0] ?? null
+    const config = bandConfig({ symDuration, baseFreq, freqSpacing, order, fecRate, preamble, snrMargin }, band)
+    const mode = MFSK_ORDERS.find(o => o.order === config.order)
+    const baudRate = Math.round((mode.bits / symDuration) * 1000)
+
+    const getFreqs = useCallback((n = config.order) =>
+        toneLadder(config, n),
+        [config.baseFreq, config.freqSpacing, config.order] // eslint-disable-line
     )
 
     // ── TX state ──
     const [txMode, setTxMode] = useState('text')
     const [txInput, setTxInput] = useState('Hello World!')
-    const [txStatus, setTxStatus] = useState({ cls: '', msg: 'READY — MFSK-16 MODE' })
+    const [txStatus, setTxStatus] = useState({ cls: '', msg: 'READY' })
     const [txProgress, setTxProgress] = useState(0)
     const [txBusy, setTxBusy] = useState(false)
+    const [arq, setArq] = useState(false)   // reliable mode: windows of segments, acknowledged by the receiver
+    const [passphrase, setPassphrase] = useState('')   // shared by TX and RX; empty = send in the clear
+    const arqSenderRef = useRef(null)       // ArqSender of the transfer in progress
+    const arqTimerRef = useRef(null)
+    const [lbtWaiting, setLbtWaiting] = useState(false)   // a transmission is waiting for the channel to clear
+    const lbtDoneRef = useRef(null)         // ends that wait: true to send, false to drop the transmission
     const [txAnimOn, setTxAnimOn] = useState(false)
     const [dragOver, setDragOver] = useState(false)
     const [jpegQuality, setJpegQuality] = useState(40)
@@ -113,6 +191,11 @@ export default function App() {
     const [imgPreviewStyle, setImgPreviewStyle] = useState({})
     const [imgMeta, setImgMeta] = useState(null)
 
+    // ── File TX state ──
+    const [fileMeta, setFileMeta] = useState(null)   // { name, mime, size, totalSymbols, segments, estSec }
+    const [fileDragOver, setFileDragOver] = useState(false)
+    const pendingFile = useRef(null)   // { name, mime, bytes } of the file to send
+
     const pendingJpegBytes = useRef(null)
     const pendingOrigCanvas = useRef(null)
     const pendingImgW = useRef(0)
@@ -127,34 +210,78 @@ export default function App() {
     const [rxImgProg, setRxImgProg] = useState({ visible: false, pct: 0, label: 'RECEIVING…' })
     const [rxImgSrc, setRxImgSrc] = useState(null)
     const [rxImgStyle, setRxImgStyle] = useState({})
-    const [symCells, setSymCells] = useState(Array(16).fill({ hot: false, hottest: false }))
-    const [debugInfo, setDebugInfo] = useState({ a: '0.000', b: '0.000', dom: '0.000', state: 'IDLE' })
+    const [rxFile, setRxFile] = useState(null)   // { name, mime, size, url } of the last received file
+    const [rxLanes, setRxLanes] = useState([])   // { id, label, cls, msg, output, url, file } per other sub-band of the plan
+
+    // ── Reception history (IndexedDB, see history.js) ──
+    const [history, setHistory] = useState([])   // entries, newest first
+    const [historyQuery, setHistoryQuery] = useState('')
+    const [historyNote, setHistoryNote] = useState('')   // why the log is unavailable, if it is
+    const [fileDecode, setFileDecode] = useState(null)   // { name, pct } while a recording is decoded
+    const [rxDragOver, setRxDragOver] = useState(false)
+    const [rxVerdict, setRxVerdict] = useState(null)   // { kind: 'ok' | 'legacy' | 'header' | 'payload' | 'version' | 'locked', hex }
+    const [rxTransfers, setRxTransfers] = useState([])   // segmented transfers still missing segments
+    const [rxSegment, setRxSegment] = useState(null)     // { id, src, index, count, pct } of the segment on the air
+    const [rxOrder, setRxOrder] = useState(order)    // order of the packet being received (or last seen)
+    const [symCells, setSymCells] = useState(Array(16).fill({ hot: false, hottest: false, snr: null }))
+    const [debugInfo, setDebugInfo] = useState({ a: '0.0', b: '0.0', legacy: '—', dom: '0.0', noise: '—', state: 'IDLE', timing: '0.0', drift: '0', afc: '+0.0', chirp: '0.00' })
 
     // Audio refs
     const rxCanvasRef = useRef(null)
-    const sharedCtxRef = useRef(null)   // single AudioContext for loopback; TX ctx otherwise
+    const waterfallCanvasRef = useRef(null)
+    const waterfallRef = useRef(new Waterfall())
+    const waterfallSpanRef = useRef({ lo: 0, hi: 0 })   // Hz shown by the waterfall, fixed while listening so its history stays put
+    const rxClockRef = useRef(null)      // AudioContext frame of the demodulator's first sample
+    const sharedCtxRef = useRef(null)   // AudioContext of the receiver; also played into in loopback
+    const txCtxRef = useRef(null)       // AudioContext playing to the speaker, kept once created
     const loopTapRef = useRef(null)   // GainNode that TX signals connect to in loopback mode
+    const channelNodesRef = useRef(null)   // { reverb, noise } of the simulated channel, when in use
     const analyserRef = useRef(null)
+    const carrierRef = useRef(null)     // CarrierSense fed from the analyser while listening
+    const carrierTimerRef = useRef(null)   // interval that feeds it
     const micStreamRef = useRef(null)
     const rxAnimIdRef = useRef(null)
-    const sampleIntervalRef = useRef(null)
+    const demodNodeRef = useRef(null)   // AudioWorkletNode running the Demodulator
+    const peerDemodRef = useRef(null)   // loopback only: the sending station's own demodulator, for ACKs
+    const fileDemodRef = useRef(null)   // Demodulator replaying a dropped recording, if any
+    const lanesRef = useRef([])         // { band, config, node, assembler, reassembler } decoding the plan's other sub-bands
+    const rxConfigsRef = useRef([])     // configs of every band listened to, our own first
     const isListeningRef = useRef(false)
     const loopbackRef = useRef(loopback)
     useEffect(() => { loopbackRef.current = loopback }, [loopback])
 
     // Decode state refs
-    const rxStateRef = useRef(RX_IDLE)
-    const rxNibblesRef = useRef([])
-    const sampleBufRef = useRef([])
-    const lastSymTimeRef = useRef(0)
-    const silenceCountRef = useRef(0)
-    const syncBufRef = useRef([])        // rolling window for chirp detection
-    const preambleFirstSeenRef = useRef(0) // timestamp of FIRST preamble signal sample
-    const dataStartAtRef = useRef(0)
+    const assemblerRef = useRef(null)     // PacketAssembler turning demodulator events into packets
+    const reassemblerRef = useRef(new TransferReassembler())   // segments → whole transfers
+    const lockedRef = useRef(null)     // sealed transfer the passphrase did not open; retried when it changes
+    const showSeqRef = useRef(0)       // counts showTransfer() calls, so a slow unseal never overwrites a newer packet
+    const rxOrderRef = useRef(rxOrder)
 
     useEffect(() => { isListeningRef.current = isListening }, [isListening])
-
-    const finalizePacketRef = useRef(null)
+    useEffect(() => {
+        rxOrderRef.current = rxOrder
+        setSymCells(Array(rxOrder).fill({ hot: false, hottest: false, snr: null }))
+    }, [rxOrder])
+    useEffect(() => { if (!isListening) setRxOrder(config.order) }, [config.order, isListening])
+
+    // ── Channel simulator sweep ──
+    const [sweepParam, setSweepParam] = useState('whiteDb')
+    const [sweepFrom, setSweepFrom] = useState(-40)
+    const [sweepTo, setSweepTo] = useState(0)
+    const [sweepSteps, setSweepSteps] = useState(6)
+    const [sweepPackets, setSweepPackets] = useState(5)
+    const [sweepBytes, setSweepBytes] = useState(32)
+    const [sweep, setSweep] = useState(null)          // { param, values, points } of the last run
+    const [sweepRun, setSweepRun] = useState(null)    // { done, total } while running
+    const [sweepStatus, setSweepStatus] = useState({ cls: '', msg: 'PICK A SETTING AND RUN A SWEEP' })
+    const sweepStopRef = useRef(false)
+    const sweepCanvasRef = useRef(null)
+
+    const packetEventRef = useRef(null)
+    const laneEventRef = useRef(null)
+    if (!assemblerRef.current) {
+        assemblerRef.current = new PacketAssembler({ command: msg => postDemod(msg), onEvent: e => packetEventRef.current?.(e) })
+    }
 
     // ══════════════════════════════════════════════════════
     // IMAGE UPLOAD
@@ -171,12 +298,12 @@ export default function App() {
         const scale = Math.max(1, Math.floor(120 / Math.max(w, h)))
         setImgPreviewStyle({ width: w * scale, height: h * scale })
         setImgPreviewSrc(dataURL)
-        const totalSymbols = Math.ceil((HEADER_LEN + bytes.length) * 2)
-        const estSec = ((totalSymbols + PREAMBLE_PAIRS * 2) * symDuration / 1000).toFixed(1)
-        setImgMeta({ w, h, bytes: bytes.length, totalSymbols, estSec })
+        const { symbols: totalSymbols, ms, segments } = airtime(config, bytes.length + (passphrase ? SEAL_OVERHEAD : 0))
+        const estSec = (ms / 1000).toFixed(1)
+        setImgMeta({ w, h, bytes: bytes.length, totalSymbols, segments, estSec })
         setDropLabel('IMAGE LOADED — DROP NEW TO REPLACE')
     }
-    useEffect(() => { compressAndPreview() }, [jpegQuality]) // eslint-disable-line
+    useEffect(() => { compressAndPreview() }, [jpegQuality, fecRate, preamble, config.order, symDuration, !passphrase]) // eslint-disable-line
 
     function handleImageFile(file) {
         if (!file) return
@@ -197,186 +324,419 @@ export default function App() {
         reader.readAsDataURL(file)
     }
 
+    // ══════════════════════════════════════════════════════
+    // FILE UPLOAD
+    // ══════════════════════════════════════════════════════
+    function estimateFile() {
+        const f = pendingFile.current
+        if (!f) return
+        setFileMeta({ name: f.name, mime: f.mime, size: f.bytes.length, ...payloadEstimate(encodeFilePayload(f)) })
+    }
+    useEffect(() => { estimateFile() }, [fecRate, preamble, config.order, symDuration, !passphrase]) // eslint-disable-line
+
+    async function handleFile(file) {
+        if (!file) return
+        pendingFile.current = { name: file.name, mime: file.type, bytes: new Uint8Array(await file.arrayBuffer()) }
+        estimateFile()
+    }
+
     // ══════════════════════════════════════════════════════
     // TRANSMIT
     // ══════════════════════════════════════════════════════
-    async function transmit() {
+    // Size and airtime of a text or file payload as is and as packPayload() will send it
+    // (sealing, with a passphrase set, adds SEAL_OVERHEAD bytes to both)
+    function payloadEstimate(raw) {
+        const { payload, flags } = packPayload(raw)
+        const seal = passphrase ? SEAL_OVERHEAD : 0
+        const before = airtime(config, raw.length + seal), after = airtime(config, payload.length + seal)
+        return {
+            rawBytes: raw.length, rawSec: (before.ms / 1000).toFixed(1), compressed: !!flags, bytes: payload.length,
+            totalSymbols: after.symbols, segments: after.segments, estSec: (after.ms / 1000).toFixed(1)
+        }
+    }
+
+    // { type, payload, imgW, imgH, flags } ready for encodeTransfer(), sealed when a passphrase is set; or null
+    async function preparePayload(sampleRate) {
+        const p = plainPayload(sampleRate)
+        if (!p || !passphrase) return p
+        setTxStatus({ cls: 'info', msg: 'SEALING WITH PASSPHRASE…' })
+        return { ...p, payload: await encryptPayload(passphrase, p.payload, p.type), flags: (p.flags || 0) | FLAG_ENCRYPTED }
+    }
+
+    // The current TX input as { type, payload, imgW, imgH } (plus flags when compressed), or null
+    // (with the reason in the TX status) when there is nothing to send or the band or ladder does
+    // not fit sampleRate.
+    function plainPayload(sampleRate) {
         const freqs = getFreqs()
-        let payloadBytes, header
+        if (band && !bandFits(band, sampleRate)) {
+            setTxStatus({ cls: 'warn', msg: `BAND ${band.label} NEEDS A SAMPLE RATE OF ${minSampleRate(band)} Hz OR MORE — THIS DEVICE RUNS AT ${sampleRate} Hz` }); return null
+        }
+        if (!ladderFits(config.order, config.baseFreq, config.freqSpacing, sampleRate)) {
+            setTxStatus({ cls: 'warn', msg: `${mode.label} LADDER TOPS OUT AT ${freqs[config.order - 1]} Hz — LOWER THE SPACING` }); return null
+        }
 
         if (txMode === 'text') {
-            const text = txInput; if (!text) return
-            payloadBytes = new TextEncoder().encode(text)
-            header = buildHeader(TYPE_TEXT, payloadBytes.length)
-        } else {
-            if (!pendingJpegBytes.current) { setTxStatus({ cls: 'warn', msg: 'NO IMAGE LOADED' }); return }
-            payloadBytes = pendingJpegBytes.current
-            header = buildHeader(TYPE_IMAGE, payloadBytes.length, pendingImgW.current, pendingImgH.current)
+            const text = txInput; if (!text) return null
+            return { type: TYPE_TEXT, ...packPayload(new TextEncoder().encode(text)), imgW: 0, imgH: 0 }
         }
+        if (txMode === 'file') {
+            if (!pendingFile.current) { setTxStatus({ cls: 'warn', msg: 'NO FILE LOADED' }); return null }
+            return { type: TYPE_FILE, ...packPayload(encodeFilePayload(pendingFile.current)), imgW: 0, imgH: 0 }
+        }
+        if (!pendingJpegBytes.current) { setTxStatus({ cls: 'warn', msg: 'NO IMAGE LOADED' }); return null }
+        return { type: TYPE_IMAGE, payload: pendingJpegBytes.current, imgW: pendingImgW.current, imgH: pendingImgH.current }
+    }
 
-        const fullPacket = new Uint8Array(header.length + payloadBytes.length)
-        fullPacket.set(header, 0); fullPacket.set(payloadBytes, header.length)
-        const nibbles = bytesToNibbles(fullPacket)
-
-        setTxBusy(true); setTxAnimOn(true)
+    // Segment frames for the current TX input (see encodeTransfer()), or null
+    async function prepareTransfer(sampleRate) {
+        const p = await preparePayload(sampleRate)
+        return p && encodeTransfer(config, p.type, p.payload, p.imgW, p.imgH, newTransferId(), p.flags, txAddr)
+    }
 
-        // In loopback mode, use the SHARED AudioContext so TX tones go directly to the analyser
-        // In normal mode, create a fresh TX AudioContext (tones go to speaker)
-        let ctx, dest
-        if (loopbackRef.current && sharedCtxRef.current) {
-            ctx = sharedCtxRef.current
-            dest = loopTapRef.current   // loopback tap → analyser
-        } else {
-            ctx = new (window.AudioContext || window.webkitAudioContext)()
-            dest = ctx.destination      // speaker
-        }
+    // "1234 SYMBOLS" or "1234 SYMBOLS IN 3 SEGMENTS"
+    function transferSummary(frames) {
+        const symbols = frames.reduce((n, f) => n + f.symbols.length, 0)
+        return `${symbols} ${mode.label} SYMBOLS${frames.length > 1 ? ` IN ${frames.length} SEGMENTS` : ''}`
+    }
 
-        const symS = symDuration / 1000
-        let t = ctx.currentTime + 0.05
+    // The AudioContext transmissions play through, so their fit is checked at its sampleRate.
+    // In loopback mode, the SHARED AudioContext, so TX tones go directly to the analyser
+    // In normal mode, this device's TX AudioContext (tones go to speaker), created on first use
+    function txContext() {
+        if (loopbackRef.current && sharedCtxRef.current) return sharedCtxRef.current
+        if (!txCtxRef.current) txCtxRef.current = new (window.AudioContext || window.webkitAudioContext)()
+        if (txCtxRef.current.state === 'suspended') txCtxRef.current.resume()
+        return txCtxRef.current
+    }
 
-        // ── Preamble: alternating A-B chirp ──
-        // Pattern: A B A B A B (PREAMBLE_PAIRS times)
-        for (let i = 0; i < PREAMBLE_PAIRS; i++) {
-            playTone(ctx, dest, PRE_TONE_A, t, symS * 0.9, 0.5); t += symS
-            playTone(ctx, dest, PRE_TONE_B, t, symS * 0.9, 0.5); t += symS
-        }
-        // Guard gap: exactly 1 symbol duration to preserve phase locked grid
-        t += symS
+    // Plays render(sampleRate), a PCM buffer, and returns its airtime in ms (start delay included).
+    // Throws what render() throws, e.g. RangeError for tones that do not fit the sample rate.
+    function play(render) {
+        const ctx = txContext()
+        const dest = ctx === sharedCtxRef.current ? loopTapRef.current : ctx.destination
+
+        // ── Whole transmission rendered up front, played by a single buffer source ──
+        let pcm = render(ctx.sampleRate)
+        // The simulated sender's clock drift and frequency offset are baked into what it plays
+        if (dest === loopTapRef.current && channelNodesRef.current) pcm = impairTransmission(pcm, ctx.sampleRate, channel)
+        const buffer = ctx.createBuffer(1, pcm.length, ctx.sampleRate)
+        buffer.copyToChannel(pcm, 0)
+        const source = ctx.createBufferSource()
+        source.buffer = buffer; source.connect(dest)
+        source.start(ctx.currentTime + 0.05)
+        return buffer.duration * 1000 + 50
+    }
 
-        // ── Data symbols ──
-        nibbles.forEach(nib => {
-            playTone(ctx, dest, freqs[nib], t, symS * 0.88, 0.42)
-            t += symS
-        })
+    async function transmit() {
+        if (arq) { startArq(); return }
+        const frames = await prepareTransfer(txContext().sampleRate)
+        if (!frames || !await channelClear()) return
 
+        setTxBusy(true); setTxAnimOn(true)
         const txStart = performance.now() + 50
-        const totalMs = (t - ctx.currentTime) * 1000
-        setTxStatus({ cls: 'warn', msg: `TRANSMITTING ${nibbles.length} SYMBOLS…` })
+        let totalMs
+        try {
+            totalMs = play(rate => renderTransfer(config, frames, rate)) - 50
+        } catch (err) {
+            txFailed(err); return
+        }
+        setTxStatus({ cls: 'warn', msg: `TRANSMITTING ${transferSummary(frames)}…` })
 
         const anim = () => {
             const frac = Math.min((performance.now() - txStart) / totalMs, 1)
             setTxProgress(frac * 100)
             if (frac < 1) requestAnimationFrame(anim)
             else {
-                setTxStatus({ cls: 'ok', msg: `DONE — ${nibbles.length} SYMBOLS · ${fullPacket.length} BYTES` })
+                setTxStatus({ cls: 'ok', msg: `DONE — ${transferSummary(frames)} · ${frames.reduce((n, f) => n + f.frame.length, 0)} BYTES` })
                 setTxBusy(false); setTxAnimOn(false)
             }
         }
         requestAnimationFrame(anim)
     }
 
+    // A transmission that could not be rendered or played: the TX side is freed and says why
+    function txFailed(err) {
+        setTxBusy(false); setTxAnimOn(false)
+        setTxStatus({ cls: 'warn', msg: `NOT SENT — ${err.message.toUpperCase()}` })
+    }
+
+    // Same transmission, rendered offline into a WAV download
+    async function saveWav() {
+        const frames = await prepareTransfer(WAV_RATE)
+        if (!frames) return
+        const pad = Math.round(WAV_PAD_MS * WAV_RATE / 1000)
+        const pcm = renderTransfer(config, frames, WAV_RATE)
+        const padded = new Float32Array(pcm.length + 2 * pad)
+        padded.set(pcm, pad)
+        download(new Blob([encodeWav(padded, WAV_RATE)], { type: 'audio/wav' }), `acoust-${txMode}-${fileStamp()}.wav`)
+        setTxStatus({ cls: 'ok', msg: `SAVED WAV — ${(padded.length / WAV_RATE).toFixed(1)}s · ${transferSummary(frames)}` })
+    }
+
     // ══════════════════════════════════════════════════════
-    // RECEIVER
+    // LISTEN BEFORE TALK
     // ══════════════════════════════════════════════════════
-    function getFftMag(freq) {
-        const analyser = analyserRef.current
-        const rxCtx = sharedCtxRef.current
-        if (!analyser || !rxCtx) return 0
-        const buf = new Uint8Array(analyser.frequencyBinCount)
-        analyser.getByteFrequencyData(buf)
-        const bw = (rxCtx.sampleRate / 2) / analyser.frequencyBinCount
-        const bin = Math.round(freq / bw)
-        const w = 4; let s = 0
-        for (let j = Math.max(0, bin - w); j <= Math.min(buf.length - 1, bin + w); j++) s += buf[j]
-        return s / (2 * w + 1) / 255
+    // With the receiver running, a transmission first waits for the channel (see carrier.js).
+    // Resolves true once it is clear or SEND ANYWAY is pressed, false when the wait times out or
+    // is cancelled. Only the start of a transmission waits: ACKs and the later windows of an
+    // ARQ transfer answer a station that has just fallen quiet for them.
+    function channelClear() {
+        const sense = carrierRef.current
+        if (!isListeningRef.current || !sense) return Promise.resolve(true)
+        senseCarrier()
+        const wait = new ChannelWait(sense, performance.now())
+        if (wait.check(performance.now()) === 'clear') return Promise.resolve(true)
+        setTxBusy(true); setLbtWaiting(true)
+        setTxStatus({ cls: 'warn', msg: 'CHANNEL BUSY — WAITING…' })
+        return new Promise(resolve => {
+            const timer = setInterval(() => {
+                senseCarrier()
+                const state = wait.check(performance.now())
+                if (state === 'clear') done(true)
+                else if (state === 'timeout') {
+                    done(false)
+                    setTxStatus({ cls: 'warn', msg: `CHANNEL STILL BUSY AFTER ${LBT_TIMEOUT_MS / 1000}s — NOT SENT` })
+                }
+            }, LBT_POLL_MS)
+            const done = send => {
+                clearInterval(timer)
+                lbtDoneRef.current = null; setLbtWaiting(false)
+                if (!send) setTxBusy(false)
+                resolve(send)
+            }
+            lbtDoneRef.current = done
+        })
     }
 
-    function detectDataSymbol() {
-        const analyser = analyserRef.current
-        const rxCtx = sharedCtxRef.current
-        if (!analyser || !rxCtx) return null
-        const buf = new Uint8Array(analyser.frequencyBinCount)
-        analyser.getByteFrequencyData(buf)
-        const nyq = rxCtx.sampleRate / 2
-        const bw = nyq / analyser.frequencyBinCount
-        const freqs = getFreqsLive()
-
-        const mags = freqs.map(f => {
-            const bin = Math.round(f / bw); const w = 5; let s = 0
-            for (let j = Math.max(0, bin - w); j <= Math.min(buf.length - 1, bin + w); j++) s += buf[j]
-            return s / (2 * w + 1) / 255
+    // Feeds the analyser's current spectrum to carrier sense. This runs on timers (its own while
+    // listening, and each check of a waiting transmission), not from the spectrum's animation
+    // frames, which the browser slows down or stops in a background tab.
+    function senseCarrier() {
+        const sense = carrierRef.current, analyser = analyserRef.current, ctx = sharedCtxRef.current
+        if (!sense || !analyser || !ctx) return
+        const db = new Float32Array(analyser.frequencyBinCount)
+        analyser.getFloatFrequencyData(db)
+        sense.marginDb = marginRef.current
+        sense.update(db, ctx.sampleRate / 2 / analyser.frequencyBinCount, performance.now())
+    }
+
+    function cancelWait(msg = 'CANCELLED — NOT SENT') {
+        lbtDoneRef.current?.(false)
+        setTxStatus({ cls: 'warn', msg })
+    }
+
+    // ══════════════════════════════════════════════════════
+    // ARQ
+    // ══════════════════════════════════════════════════════
+    // Reliable mode: the transfer goes out a window at a time and the receiving device answers
+    // each window with an ACK bitmap over audio (see arq.js); the receiver must be running here
+    // too, to hear those ACKs.
+    async function startArq() {
+        if (!isListeningRef.current) { setTxStatus({ cls: 'warn', msg: 'ARQ NEEDS THE RECEIVER — START LISTENING FIRST' }); return }
+        const p = await preparePayload(txContext().sampleRate)
+        if (!p || !await channelClear()) return
+        const sender = new ArqSender({
+            config, ...p, addr: txAddr,
+            send: frames => {
+                const round = sender.round
+                const ms = play(rate => renderTransfer(config, frames, rate))
+                setTxAnimOn(true)
+                setTimeout(() => {
+                    if (arqSenderRef.current !== sender || sender.round !== round) return
+                    setTxAnimOn(false)
+                    setTxStatus({ cls: 'info', msg: `ARQ ROUND ${round} — WAITING FOR ACK…` })
+                }, ms)
+                return ms
+            },
+            onEvent: e => handleArqEvent(sender, e)
         })
-        let bestSym = -1, bestMag = 0
-        mags.forEach((m, i) => { if (m > bestMag) { bestMag = m; bestSym = i } })
-        return { symbol: bestSym, magnitude: bestMag, mags }
+        arqSenderRef.current = sender
+        setTxBusy(true); setTxProgress(0)
+        // Each round is rendered as it goes out; one that cannot be ends the transfer
+        const step = () => {
+            try { sender.tick(performance.now()) } catch (err) { finishArq(); txFailed(err) }
+        }
+        try { sender.start(performance.now()) } catch (err) { finishArq(); txFailed(err); return }
+        arqTimerRef.current = setInterval(step, ARQ_TICK_MS)
     }
 
-    function resetRxState() {
-        rxStateRef.current = RX_IDLE
-        rxNibblesRef.current = []
-        sampleBufRef.current = []
-        silenceCountRef.current = 0
-        syncBufRef.current = []
-        preambleFirstSeenRef.current = 0
-        dataStartAtRef.current = 0
-        setRxImgProg({ visible: false, pct: 0, label: 'RECEIVING…' })
+    function handleArqEvent(sender, e) {
+        if (e.type === 'window') {
+            setTxStatus({ cls: 'warn', msg: `ARQ ROUND ${e.round} — SENDING SEGMENT${e.segments.length > 1 ? 'S' : ''} ${segmentList(e.segments)} OF ${sender.count}…` })
+        } else if (e.type === 'ack') {
+            setTxProgress(e.acked / sender.count * 100)
+        } else if (e.type === 'timeout') {
+            setTxStatus({ cls: 'warn', msg: `NO ACK FOR ROUND ${e.round} — RESENDING` })
+        } else if (e.type === 'done') {
+            setTxStatus({ cls: 'ok', msg: `✓ DELIVERED — ${sender.count} SEGMENT${sender.count > 1 ? 'S' : ''} IN ${sender.round} ROUND${sender.round > 1 ? 'S' : ''}` })
+            finishArq()
+        } else if (e.type === 'failed') {
+            setTxStatus({ cls: 'warn', msg: `✗ GAVE UP — SEGMENTS ${segmentList(e.missing)} UNCONFIRMED AFTER ${ARQ_MAX_TRIES} TRIES` })
+            finishArq()
+        }
     }
 
+    function finishArq() {
+        clearInterval(arqTimerRef.current)
+        arqSenderRef.current = null
+        setTxBusy(false); setTxAnimOn(false)
+    }
 
-    // Magic bytes as nibbles: "ACST" = 0x41,0x43,0x53,0x54
-    const MAGIC_NIBS = [4, 1, 4, 3, 5, 3, 5, 4]
+    function stopArq(msg = 'ARQ STOPPED') {
+        finishArq()
+        setTxStatus({ cls: 'warn', msg })
+    }
 
-    // Scan ALL received nibbles for the ACST magic.
-    // Allows up to 1 nibble mismatch to tolerate occasional symbol errors.
-    // Returns { off, errors } or null if not found.
-    function findSyncOffset(raw) {
-        const limit = raw.length - MAGIC_NIBS.length  // scan the ENTIRE buffer
-        for (let off = 0; off <= limit; off++) {
-            let errors = 0
-            for (let j = 0; j < MAGIC_NIBS.length; j++) {
-                if (raw[off + j] !== MAGIC_NIBS[j]) {
-                    errors++
-                    if (errors > 1) break  // allow max 1 mismatch
-                }
+    // An ACK frame heard by the sending station
+    function handleAckPacket(p) {
+        if (p.status === 'ok') arqSenderRef.current?.handleAck(p.hdr, p.payload, performance.now())
+    }
+
+    // Answers an ARQ window with the segments held so far, once the sender has gone quiet, on
+    // the band the window came in on (cfg). Only live reception answers; a replayed recording
+    // has nobody to talk to.
+    function sendAck(t, cfg = config) {
+        if (!isListeningRef.current || fileDemodRef.current) return
+        const { symbols } = encodeAck(cfg, t, rxStation.id)
+        const held = t.parts.filter(Boolean).length
+        setTimeout(() => {
+            if (!isListeningRef.current) return
+            try {
+                play(rate => renderFrame(cfg, symbols, rate))
+            } catch (err) {
+                setRxStatus({ cls: 'warn', msg: `ACK NOT SENT — ${err.message.toUpperCase()}` }); return
             }
-            if (errors <= 1) return off
-        }
-        return -1
+            setRxStatus({ cls: 'info', msg: `↩ ACK SENT — ${held}/${t.count} SEGMENTS HELD` })
+        }, ACK_TURNAROUND_MS)
     }
 
-    // Convert nibble array to readable hex string for debugging
-    function nibsToHex(nibs) {
-        const bytes = nibblesToBytes(nibs.slice(0, Math.floor(nibs.length / 2) * 2))
-        return Array.from(bytes).slice(0, 20).map(b => b.toString(16).padStart(2, '0')).join(' ')
+    // ══════════════════════════════════════════════════════
+    // RECEIVER
+    // ══════════════════════════════════════════════════════
+    function resetRxState() {
+        assemblerRef.current.reset()
+        setRxImgProg({ visible: false, pct: 0, label: 'RECEIVING…' })
+        setRxSegment(null)
+    }
+
+    // Snapshot of the incomplete transfers for the segment map
+    function updateTransfers() {
+        setRxTransfers(reassemblerRef.current.pending().map(t => ({
+            id: t.id, src: t.src, type: t.type, count: t.count,
+            received: t.parts.map(Boolean), failed: [...t.failed], missing: missingSegments(t)
+        })))
     }
 
-    function finalizePacket() {
-        const raw = rxNibblesRef.current
+    useEffect(() => {
+        postDemod({ type: 'snrMargin', value: snrMargin })
+        lanesRef.current.forEach(l => l.node.port.postMessage({ type: 'snrMargin', value: snrMargin }))
+    }, [snrMargin])
 
-        // ── Auto-sync: scan ALL nibbles for ACST magic (with 1-error tolerance) ──
-        const syncOff = findSyncOffset(raw)
-        if (syncOff < 0) {
-            const got = Math.floor(raw.length / 2)
-            const hexDump = nibsToHex(raw)
+    // Control message for whichever demodulator is running: a file replay or the live worklet
+    function postDemod(msg) {
+        if (fileDemodRef.current) fileDemodRef.current.command(msg)
+        else demodNodeRef.current?.port.postMessage(msg)
+    }
+
+    function rejectPacket(kind, bytes, msg, type = 0) {
+        logReception({ type: typeLabel(type), status: kind, bytes, detail: msg })
+        setRxVerdict({ kind, hex: bytesToHex(bytes, 64) })
+        setRxOutput(kind === 'version' ? 'UNSUPPORTED PROTOCOL VERSION — packet discarded' : `${kind === 'header' ? 'HEADER' : 'PAYLOAD'} CORRUPT — packet discarded`); setRxOutputHas(true)
+        setRxImgSrc(null)
+        setRxStatus({ cls: 'warn', msg })
+        setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 3000)
+    }
+
+    // A frame the PacketAssembler closed; see decodeFrame() in packet.js for the statuses.
+    // The assembler has already sent the demodulator back to preamble search.
+    function showPacket(p) {
+        setRxImgProg({ visible: false, pct: 0, label: 'RECEIVING…' })
+        if (p.status === 'nosync') {
             // Show hex dump in output area so user and dev can see what arrived
-            setRxOutput(`NO SYNC(${got} bytes) \nRaw hex: ${hexDump} \n(expected magic: 41 43 53 54)`)
+            setRxOutput(`NO SYNC(${p.bytes.length} bytes) \nRaw hex: ${bytesToHex(p.bytes, 20)} \n(expected magic: 41 43 53 54)`)
             setRxOutputHas(true)
-            setRxStatus({ cls: 'warn', msg: `NO SYNC — ${got} bytes received but magic not found` })
-            resetRxState()
+            setRxStatus({ cls: 'warn', msg: `NO SYNC — ${p.bytes.length} bytes received but magic not found` })
+            logReception({ type: '', status: 'nosync', bytes: p.bytes, detail: 'magic not found' })
             setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 5000)
             return
         }
-
-        // Re-align from the found sync point, ensure even nibble count
-        const aligned = raw.slice(syncOff)
-        const trimNib = aligned.slice(0, Math.floor(aligned.length / 2) * 2)
-        if (trimNib.length < HEADER_LEN * 2) {
-            setRxStatus({ cls: 'warn', msg: `INCOMPLETE — only ${Math.floor(trimNib.length / 2)} bytes after sync` })
-            resetRxState()
+        if (p.status === 'short') {
+            setRxStatus({ cls: 'warn', msg: `INCOMPLETE — only ${p.bytes.length} bytes after sync` })
+            logReception({ type: '', status: 'short', bytes: p.bytes, detail: 'frame ended early' })
             setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 3000)
             return
         }
+        if (p.status === 'header') { rejectPacket('header', p.bytes, `HEADER CORRUPT — ${p.legacy ? 'unknown legacy packet type' : 'CRC mismatch'}, packet discarded`); return }
+        if (p.status === 'version') { rejectPacket('version', p.bytes, `PROTOCOL VERSION ${p.version} — this receiver reads ${PROTOCOL_VERSION} and ${LEGACY_VERSION} (legacy), packet discarded`); return }
+        const { hdr } = p
+        const seg = hdr.segCount > 1 ? `SEGMENT ${hdr.segIndex + 1}/${hdr.segCount}` : ''
+        if (p.status === 'payload') {
+            const t = reassemblerRef.current.fail(hdr)
+            updateTransfers()
+            rejectPacket('payload', p.payload, seg
+                ? `${seg} CORRUPT — ${p.reason} · MISSING ${segmentList(missingSegments(t))}`
+                : `PAYLOAD CORRUPT — ${p.reason}, packet discarded`, hdr.type)
+            if (hdr.flags & FLAG_ACK_REQ && forStation(hdr, rxStation)) sendAck(t)
+            return
+        }
 
-        const allBytes = nibblesToBytes(trimNib)
-        const hdr = parseHeader(allBytes)
-        if (!hdr) { resetRxState(); return }  // shouldn't happen after sync
+        const t = reassemblerRef.current.add(hdr, p.payload, p.lowPayload, p.corrected)
+        updateTransfers()
+        if (hdr.flags & FLAG_ACK_REQ && forStation(hdr, rxStation)) sendAck(t)
+        if (t.duplicate) return   // a retransmission of a segment already held
+        setRxVerdict({ kind: p.legacy ? 'legacy' : 'ok', hex: '' })
+        if (!t.complete) {
+            setDecodedBits(`${seg}: ${p.payload.length} BYTES  ${t.parts.filter(Boolean).length}/${t.count} SEGMENTS IN`)
+            setRxStatus({ cls: 'info', msg: `✓ ${seg} RECEIVED — MISSING ${segmentList(missingSegments(t))}` })
+            setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 3000)
+            return
+        }
+        showTransfer(t)
+    }
 
-        const payload = allBytes.slice(HEADER_LEN, HEADER_LEN + hdr.payloadLen)
+    // A whole transfer's payload as it was packed: opened with the passphrase if sealed (see
+    // crypto.js), then decompressed. { locked: true } when the passphrase does not open it,
+    // { damaged: true } when it will not decompress.
+    async function openTransfer(t) {
+        let { payload, lowPayload } = t
+        if (t.flags & FLAG_ENCRYPTED) {
+            const plain = await decryptPayload(passphrase, payload, t.type)
+            if (!plain) return { locked: true }
+            payload = plain; lowPayload = Array(plain.length).fill(false)   // GCM authenticated every byte
+        }
+        if (t.flags & FLAG_COMPRESSED) {
+            const raw = decompress(payload, lowPayload)
+            if (!raw) return { damaged: true, payload }
+            ({ bytes: payload, low: lowPayload } = raw)
+        }
+        return { payload, lowPayload }
+    }
 
+    // A whole payload: a single frame, or every segment of a transfer joined up. A sealed one
+    // that does not open is shown as locked. retry is set when a locked transfer is tried again
+    // with a new passphrase; it is only logged once it opens.
+    async function showTransfer(t, retry = false) {
+        const seq = ++showSeqRef.current
+        lockedRef.current = null
+        const opened = await openTransfer(t)
+        if (seq !== showSeqRef.current) return
+        if (opened.locked) { showLocked(t, retry); return }
+        if (opened.damaged) { rejectPacket('payload', opened.payload, 'COMPRESSED PAYLOAD DAMAGED — cannot decompress, packet discarded', t.type); return }
+        const { payload, lowPayload } = opened
+        const hdr = { type: t.type, imgW: t.imgW, imgH: t.imgH }
+        const fixedMsg = t.version === LEGACY_VERSION ? ' · LEGACY FORMAT, UNVERIFIED'
+            : ` · ${t.corrected} SYMBOLS CORRECTED${t.count > 1 ? ` · ${t.count} SEGMENTS` : ''}`
+        const lowCount = lowPayload.filter(Boolean).length
+        const sizeMsg = t.flags & FLAG_COMPRESSED ? `${t.payload.length} → ${payload.length} BYTES (COMPRESSED)` : `${payload.length} BYTES`
+        setDecodedBits(`PACKET: ${sizeMsg}  LOW-CONFIDENCE: ${lowCount}  ${addressLabel(t)}`)
+        const entry = { type: typeLabel(t.type), status: 'ok', bytes: payload, corrected: t.corrected, segments: t.count, src: t.src, dst: t.dst, channel: t.channel }
+        const status = (cls, msg) => { setRxStatus({ cls, msg }); entry.detail = msg }
+
+        if (hdr.type !== TYPE_FILE) showRxFile(null)
         if (hdr.type === TYPE_TEXT) {
             const text = new TextDecoder().decode(payload)
-            setRxOutput(text); setRxOutputHas(true); setRxImgSrc(null)
-            setRxStatus({ cls: 'ok', msg: `✓ RECEIVED: "${text.substring(0, 40)}${text.length > 40 ? '…' : ''}"` })
+            setRxOutput(lowCount ? markLowConfidence(payload, lowPayload) : text); setRxOutputHas(true); setRxImgSrc(null)
+            status('ok', `✓ RECEIVED: "${text.substring(0, 40)}${text.length > 40 ? '…' : ''}"${fixedMsg}`)
+            entry.text = text
         } else if (hdr.type === TYPE_IMAGE) {
             const url = URL.createObjectURL(new Blob([payload], { type: 'image/jpeg' }))
             const img = new Image()
@@ -386,143 +746,296 @@ export default function App() {
                 URL.revokeObjectURL(url)
             }
             img.src = url
-            setRxImgProg(p => ({ ...p, visible: false }))
-            setRxOutput(`[IMAGE ${hdr.imgW}×${hdr.imgH} px · ${payload.length} bytes]`); setRxOutputHas(true)
-            setRxStatus({ cls: 'ok', msg: `✓ IMAGE RECEIVED — ${hdr.imgW}×${hdr.imgH} px` })
+            setRxOutput(`[IMAGE ${hdr.imgW}×${hdr.imgH} px · ${payload.length} bytes${lowCount ? ` · ${lowCount} low-confidence` : ''}]`); setRxOutputHas(true)
+            status('ok', `✓ IMAGE RECEIVED — ${hdr.imgW}×${hdr.imgH} px${fixedMsg}`)
+            entry.imgW = hdr.imgW; entry.imgH = hdr.imgH
+        } else if (hdr.type === TYPE_FILE) {
+            const file = decodeFilePayload(payload)
+            setRxImgSrc(null)
+            if (!file) {
+                showRxFile(null)
+                setRxOutput('FILE METADATA DAMAGED — file discarded'); setRxOutputHas(true)
+                status('warn', 'FILE METADATA DAMAGED')
+                entry.status = 'damaged'
+            } else {
+                showRxFile(file)
+                setRxOutput(`[FILE ${file.name} · ${file.mime} · ${formatBytes(file.size)}${lowCount ? ` · ${lowCount} low-confidence` : ''}]`); setRxOutputHas(true)
+                status('ok', `✓ FILE RECEIVED — ${file.name} (${formatBytes(file.size)})${fixedMsg}`)
+                Object.assign(entry, { name: file.name, mime: file.mime, bytes: file.bytes })
+            }
         } else {
-            setRxStatus({ cls: 'warn', msg: `UNKNOWN TYPE 0x${hdr.type.toString(16)} ` })
+            status('warn', `UNKNOWN TYPE 0x${hdr.type.toString(16)} `)
+            entry.status = 'damaged'
         }
-        resetRxState()
+        logReception(entry)
         setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 3000)
     }
 
-    useEffect(() => { finalizePacketRef.current = finalizePacket })
-
-    function liveUpdateRxImage() {
-        const raw = rxNibblesRef.current
-        if (raw.length < HEADER_LEN * 2) return
-        // Use auto-sync to find the header for image progress
-        const syncOff = findSyncOffset(raw)
-        if (syncOff < 0) return
-        const hdr = parseHeader(nibblesToBytes(raw.slice(syncOff, syncOff + HEADER_LEN * 2)))
-        if (!hdr || hdr.type !== TYPE_IMAGE) return
-        const totalNib = syncOff + (HEADER_LEN + hdr.payloadLen) * 2
-        const pct = Math.min(raw.length / totalNib * 100, 100)
-        setRxImgProg({ visible: true, pct, label: `RECEIVING IMAGE — ${raw.length}/${totalNib} (${pct.toFixed(0)}%)` })
-        if (raw.length >= totalNib) finalizePacketRef.current?.()
+    function showLocked(t, retry) {
+        lockedRef.current = t
+        setRxVerdict({ kind: 'locked', hex: '' }); setRxImgSrc(null); showRxFile(null)
+        setDecodedBits(`PACKET: ${t.payload.length} BYTES SEALED`)
+        setRxOutput(`🔒 ENCRYPTED ${typeLabel(t.type) || 'PACKET'} · ${t.payload.length} BYTES\n${passphrase
+            ? 'The passphrase does not open it — wrong key, or the packet was altered.'
+            : 'Enter the shared passphrase to open it.'}`)
+        setRxOutputHas(true)
+        setRxStatus({ cls: 'warn', msg: 'ENCRYPTED PACKET — WRONG OR MISSING KEY' })
+        setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 3000)
+        if (!retry) logReception({
+            type: typeLabel(t.type), status: 'locked', bytes: t.payload, corrected: t.corrected, segments: t.count,
+            src: t.src, dst: t.dst, channel: t.channel, detail: 'encrypted packet, wrong or missing key'
+        })
     }
+    useEffect(() => { if (lockedRef.current) showTransfer(lockedRef.current, true) }, [passphrase]) // eslint-disable-line
 
-    function startSampling() {
-        const sampleMs = Math.max(10, Math.floor(symDurRef.current / 6))
+    // ══════════════════════════════════════════════════════
+    // RECEPTION HISTORY
+    // ══════════════════════════════════════════════════════
+    useEffect(() => {
+        listReceptions().then(setHistory).catch(err => setHistoryNote(`HISTORY UNAVAILABLE — ${err?.message || 'IndexedDB blocked'}`))
+    }, [])
+
+    // Stores a reception with the time and the settings of the band it came in on (cfg, our own
+    // by default); if IndexedDB fails, only the log misses it
+    function logReception(entry, cfg = { ...config, order: rxOrderRef.current }) {
+        const { symDuration, baseFreq, freqSpacing, order, fecRate, preamble, snrMargin } = cfg
+        const settings = { symDuration, baseFreq, freqSpacing, order, fecRate, preamble, snrMargin }
+        addReception({ time: Date.now(), size: entry.bytes.length, corrected: 0, segments: 1, config: settings, ...entry, bytes: entry.bytes.slice() })
+            .then(e => setHistory(h => [e, ...h]))
+            .catch(err => setHistoryNote(`HISTORY UNAVAILABLE — ${err?.message || 'IndexedDB blocked'}`))
+    }
 
-        sampleIntervalRef.current = setInterval(() => {
-            const sd = symDurRef.current
-            const THRESH = threshRef.current
-            const now = performance.now()
+    // Object URLs for the images and files in the log, freed when the log changes
+    const historyUrls = useMemo(() => new Map(history
+        .filter(e => e.status === 'ok' && (e.type === 'IMAGE' || e.type === 'FILE'))
+        .map(e => [e.id, URL.createObjectURL(new Blob([e.bytes], { type: e.mime || 'image/jpeg' }))])), [history])
+    useEffect(() => () => historyUrls.forEach(url => URL.revokeObjectURL(url)), [historyUrls])
 
-            // Read preamble tone magnitudes
-            const magA = getFftMag(PRE_TONE_A)
-            const magB = getFftMag(PRE_TONE_B)
-            const det = detectDataSymbol()
-            if (!det) return
+    async function removeReception(id) {
+        await deleteReception(id)
+        setHistory(h => h.filter(e => e.id !== id))
+    }
 
-            setDebugInfo({ a: magA.toFixed(3), b: magB.toFixed(3), dom: det.magnitude.toFixed(3), state: ['IDLE', 'SYNC', 'DATA'][rxStateRef.current] })
+    function exportHistory(entries, format) {
+        const name = entries.length === 1 ? `acoust-rx-${String(entries[0].id).padStart(4, '0')}-${fileStamp(entries[0].time)}` : `acoust-history-${fileStamp()}`
+        if (format === 'json') download(new Blob([exportJson(entries)], { type: 'application/json' }), `${name}.json`)
+        else download(new Blob([exportZip(entries)], { type: 'application/zip' }), `${name}.zip`)
+    }
 
-            setSymCells(det.mags.map((m, i) => ({
-                hot: m > THRESH * 0.4 && !(i === det.symbol && m > THRESH),
-                hottest: i === det.symbol && m > THRESH
-            })))
+    // Download link for a received file; replacing or clearing it frees the previous object URL
+    function showRxFile(file) {
+        setRxFile(prev => {
+            if (prev) URL.revokeObjectURL(prev.url)
+            return file && { name: file.name, mime: file.mime, size: file.size, url: URL.createObjectURL(new Blob([file.bytes], { type: file.mime })) }
+        })
+    }
 
+    function handlePacketEvent(e) {
+        if (e.type === 'packet') {
+            setRxSegment(null)
+            if (e.hdr?.type === TYPE_ACK) {
+                // In loopback the sending station's own demodulator picks ACKs up
+                if (!loopbackRef.current) handleAckPacket(e)
+                return
+            }
+            // Our own ARQ transmission, heard through the microphone
+            const arq = arqSenderRef.current
+            if (!loopbackRef.current && e.hdr && arq && e.hdr.transferId === arq.transferId && e.hdr.src === arq.addr.src) return
+            // Traffic for other stations or channels, unless monitoring the whole room
+            if (e.hdr && !monitor && !forStation(e.hdr, rxStation)) {
+                setRxStatus({ cls: 'info', msg: `${addressLabel(e.hdr)} — NOT FOR US, IGNORED` })
+                setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 3000)
+                return
+            }
+            showPacket(e)
+        }
+        else if (e.type === 'abort') { setRxSegment(null); setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }
+        else if (e.type === 'progress') {
+            const hdr = e.frame?.hdr
+            if (hdr && !monitor && !forStation(hdr, rxStation)) return
+            const pct = hdr ? Math.min(e.symbols / e.frame.totalSyms * 100, 100) : 0
+            if (hdr?.segCount > 1) setRxSegment({ id: hdr.transferId, src: hdr.src, index: hdr.segIndex, count: hdr.segCount, pct })
+            if (hdr?.type === TYPE_IMAGE) {
+                const seg = hdr.segCount > 1 ? `SEGMENT ${hdr.segIndex + 1}/${hdr.segCount} — ` : ''
+                setRxImgProg({ visible: true, pct, label: `RECEIVING IMAGE — ${seg}${e.symbols}/${e.frame.totalSyms} (${pct.toFixed(0)}%)` })
+            }
+            setDecodedBits(`SYM: ${e.symbols}  BYTES: ${Math.floor(e.symbols * e.bits / 8)}  LOW-CONF: ${e.low}  SILENCE: ${e.silence}`)
+        }
+    }
 
-            if (rxStateRef.current === RX_IDLE) {
-                const dominant = magA > magB ? 'A' : 'B'
-                if (Math.max(magA, magB) > THRESH) {
-                    syncBufRef.current.push(dominant)
-                    if (syncBufRef.current.length > 24) syncBufRef.current.shift()
-
-                    const buf = syncBufRef.current
-                    let alternations = 0
-                    for (let i = 1; i < buf.length; i++) if (buf[i] !== buf[i - 1]) alternations++
-
-                    if (alternations >= 4 && buf.length >= 6) {
-                        rxStateRef.current = RX_SYNC
-                        // Dead-reckoning from first signal edge:
-                        // Preamble tones take: PREAMBLE_PAIRS * 2 * symDuration
-                        // Guard gap takes: exactly 1 symDuration
-                        // We subtract 40ms to compensate for the FFT window latency (it takes ~40ms of signal to breach threshold)
-                        dataStartAtRef.current = preambleFirstSeenRef.current - 40 + (PREAMBLE_PAIRS * 2 * sd) + sd
-                        setRxStatus({ cls: 'warn', msg: 'CHIRP DETECTED — SYNCING…' })
-                    }
-                } else {
-                    if (syncBufRef.current.length > 0) syncBufRef.current.pop()
-                    if (syncBufRef.current.length === 0) preambleFirstSeenRef.current = 0
-                }
+    useEffect(() => { packetEventRef.current = handlePacketEvent })
+
+    // ── Band lanes (see bands.js) ──
+    // On a band plan, each other sub-band that fits the sample rate has a demodulator of its own
+    // on the same input, with its own assembler and reassembler, and a lane in the RX panel
+    // showing the last thing it decoded. Packets for us are answered and logged as on our band.
+    function updateLane(id, patch) {
+        setRxLanes(lanes => lanes.map(l => {
+            if (l.id !== id) return l
+            if ('url' in patch && l.url && l.url !== patch.url) URL.revokeObjectURL(l.url)
+            return { ...l, ...patch }
+        }))
+    }
 
-            } else if (rxStateRef.current === RX_SYNC) {
-                // Wait exactly for the guard gap to finish
-                if (now >= dataStartAtRef.current) {
-                    rxStateRef.current = RX_DATA
-                    rxNibblesRef.current = []
-                    sampleBufRef.current = []
-                    lastSymTimeRef.current = now
-                    silenceCountRef.current = 0
-                    setRxStatus({ cls: 'info', msg: 'RECEIVING DATA…' })
-                }
+    // Empty lanes for these, freeing the images and files of the ones they replace
+    function resetLanes(lanes) {
+        setRxLanes(prev => {
+            prev.forEach(l => { if (l.url) URL.revokeObjectURL(l.url) })
+            return lanes.map(({ band }) => ({ id: band.id, label: band.label, cls: 'info', msg: 'WAITING FOR PREAMBLE…', output: '—', url: null, file: null }))
+        })
+    }
 
-            } else if (rxStateRef.current === RX_DATA) {
-                // Timeout: 45 seconds max
-                if (now - dataStartAtRef.current > 45000) {
-                    setRxStatus({ cls: 'warn', msg: 'TIMEOUT' })
-                    resetRxState()
-                    setTimeout(() => { if (isListeningRef.current) setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }) }, 2000)
-                    return
-                }
+    async function handleLaneEvent(lane, e) {
+        const id = lane.band.id
+        if (e.type === 'abort') { updateLane(id, { cls: 'info', msg: 'WAITING FOR PREAMBLE…' }); return }
+        if (e.type === 'progress') {
+            const f = e.frame
+            if (f && (monitor || forStation(f.hdr, rxStation)))
+                updateLane(id, { cls: 'info', msg: `RECEIVING ${typeLabel(f.hdr.type) || 'PACKET'} — ${Math.min(e.symbols / f.totalSyms * 100, 100).toFixed(0)}%` })
+            return
+        }
+        // ACKs for our own transfers come back on our own band
+        if (e.type !== 'packet' || e.hdr?.type === TYPE_ACK) return
+        const { hdr } = e
+        const cfg = { ...lane.config, order: 2 ** e.bits }
+        if (hdr && !monitor && !forStation(hdr, rxStation)) {
+            updateLane(id, { cls: 'info', msg: `${addressLabel(hdr)} — NOT FOR US, IGNORED` }); return
+        }
+        if (e.status !== 'ok' && e.status !== 'payload') {
+            updateLane(id, { cls: 'warn', msg: `${HISTORY_STATUS[e.status]} — packet discarded` })
+            logReception({ type: typeLabel(hdr?.type), status: e.status, bytes: e.bytes, detail: `band ${lane.band.label}` }, cfg)
+            return
+        }
+        const seg = hdr.segCount > 1 ? `SEGMENT ${hdr.segIndex + 1}/${hdr.segCount} ` : ''
+        const t = e.status === 'ok' ? lane.reassembler.add(hdr, e.payload, e.lowPayload, e.corrected) : lane.reassembler.fail(hdr)
+        if (hdr.flags & FLAG_ACK_REQ && forStation(hdr, rxStation)) sendAck(t, lane.config)
+        if (e.status === 'payload') {
+            updateLane(id, { cls: 'warn', msg: `✗ ${seg}PAYLOAD CORRUPT — ${e.reason}` })
+            logReception({ type: typeLabel(hdr.type), status: 'payload', bytes: e.payload, detail: e.reason }, cfg)
+            return
+        }
+        if (t.duplicate) return
+        if (!t.complete) { updateLane(id, { cls: 'info', msg: `✓ ${seg}RECEIVED — MISSING ${segmentList(missingSegments(t))}` }); return }
+
+        const opened = await openTransfer(t)
+        const entry = { type: typeLabel(t.type), status: 'ok', corrected: t.corrected, segments: t.count, src: t.src, dst: t.dst, channel: t.channel }
+        if (opened.locked) {
+            updateLane(id, { cls: 'warn', msg: '🔒 ENCRYPTED — WRONG OR MISSING KEY', output: `🔒 ENCRYPTED ${entry.type || 'PACKET'} · ${t.payload.length} BYTES`, url: null, file: null })
+            logReception({ ...entry, status: 'locked', bytes: t.payload, detail: 'encrypted packet, wrong or missing key' }, cfg)
+            return
+        }
+        if (opened.damaged) {
+            updateLane(id, { cls: 'warn', msg: '✗ COMPRESSED PAYLOAD DAMAGED — packet discarded' })
+            logReception({ ...entry, status: 'payload', bytes: opened.payload, detail: 'cannot decompress' }, cfg)
+            return
+        }
+        const { payload } = opened
+        const file = t.type === TYPE_FILE ? decodeFilePayload(payload) : null
+        const from = addressLabel(t)
+        if (t.type === TYPE_TEXT) {
+            const text = new TextDecoder().decode(payload)
+            updateLane(id, { cls: 'ok', msg: `✓ TEXT · ${from}`, output: text, url: null, file: null })
+            Object.assign(entry, { bytes: payload, text, detail: `band ${lane.band.label}` })
+        } else if (t.type === TYPE_IMAGE) {
+            const url = URL.createObjectURL(new Blob([payload], { type: 'image/jpeg' }))
+            updateLane(id, { cls: 'ok', msg: `✓ IMAGE ${t.imgW}×${t.imgH} px · ${from}`, output: '', url, file: null })
+            Object.assign(entry, { bytes: payload, imgW: t.imgW, imgH: t.imgH, detail: `band ${lane.band.label}` })
+        } else if (file) {
+            const url = URL.createObjectURL(new Blob([file.bytes], { type: file.mime }))
+            updateLane(id, { cls: 'ok', msg: `✓ FILE · ${from}`, output: '', url, file: { name: file.name, mime: file.mime, size: file.size } })
+            Object.assign(entry, { bytes: file.bytes, name: file.name, mime: file.mime, detail: `band ${lane.band.label}` })
+        } else {
+            updateLane(id, { cls: 'warn', msg: t.type === TYPE_FILE ? 'FILE METADATA DAMAGED' : `UNKNOWN TYPE 0x${t.type.toString(16)}` })
+            Object.assign(entry, { bytes: payload, status: 'damaged', detail: `band ${lane.band.label}` })
+        }
+        logReception(entry, cfg)
+    }
 
-                // Only accumulate non-null symbols for majority voting inside this window
-                if (det.magnitude > THRESH && det.symbol !== null) {
-                    sampleBufRef.current.push(det.symbol)
-                    silenceCountRef.current = 0
-                } else {
-                    sampleBufRef.current.push(null)
-                    silenceCountRef.current++
-                }
+    useEffect(() => { laneEventRef.current = handleLaneEvent })
+
+    // Preamble detection and symbol decisions happen in the AudioWorklet (see demodulator.js);
+    // the PacketAssembler (see modem.js) turns the decided symbols into packets.
+    function handleDemodEvent(e) {
+        if (e.type === 'level') {
+            const MARGIN = marginRef.current
+            setDebugInfo({
+                a: e.a.toFixed(1), b: e.b.toFixed(1), legacy: e.legacy === null ? '—' : e.legacy.toFixed(1), dom: e.dom.toFixed(1), state: e.state, chirp: e.chirp.toFixed(2),
+                noise: e.noiseDb === null ? '—' : e.noiseDb.toFixed(0),
+                timing: (e.timingMs >= 0 ? '+' : '') + e.timingMs.toFixed(1), drift: (e.driftPpm >= 0 ? '+' : '') + e.driftPpm.toFixed(0),
+                afc: (e.afcHz >= 0 ? '+' : '') + e.afcHz.toFixed(1)
+            })
+            setSymCells(e.snr.slice(0, rxOrderRef.current).map((snr, i) => ({
+                hot: snr > MARGIN / 2 && !(i === e.symbol && snr > MARGIN),
+                hottest: i === e.symbol && snr > MARGIN,
+                snr: Math.max(0, Math.round(snr))
+            })))
+            return
+        }
+        if (e.type === 'clock') { rxClockRef.current = e.frame; return }
+        if (e.type === 'window') { markWaterfall(e); return }
+
+        if (e.type === 'preamble' || e.type === 'data') markWaterfall(e)
+        if (e.type === 'preamble') {
+            setRxStatus({ cls: 'warn', msg: e.kind === 'chirp' ? 'LFM CHIRP LOCKED — SYNCING…' : e.kind === 'legacy' ? 'LEGACY 500 Hz PREAMBLE — SYNCING…' : 'A/B PREAMBLE DETECTED — SYNCING…' })
+        } else if (e.type === 'data') {
+            setRxStatus({ cls: 'info', msg: 'RECEIVING MODE HEADER…' })
+        } else if (e.type === 'mode') {
+            rxOrderRef.current = e.order; setRxOrder(e.order)
+            setRxStatus({ cls: 'info', msg: e.legacy ? 'RECEIVING LEGACY DATA — MFSK-16, NO FEC…' : `RECEIVING DATA — MFSK-${e.order}…` })
+        }
+        assemblerRef.current.handle(e)
+    }
 
-                // Every symDuration, integrate the window and finalize a nibble
-                if (now - lastSymTimeRef.current >= sd) {
-                    const valid = sampleBufRef.current.filter(x => x !== null)
-                    if (valid.length > 0) {
-                        const counts = new Array(16).fill(0)
-                        valid.forEach(s => counts[s]++)
-                        rxNibblesRef.current.push(counts.indexOf(Math.max(...counts)))
-                        // Update status
-                        if (rxStateRef.current === RX_DATA && rxNibblesRef.current.length > 8) {
-                            setRxStatus({ cls: 'info', msg: 'RECEIVING DATA…' })
-                        }
-                        liveUpdateRxImage()
-                    } else {
-                        // Dead air for a full symbol duration = packet maybe over
-                        if (rxNibblesRef.current.length >= HEADER_LEN * 2) {
-                            finalizePacketRef.current?.(); return
-                        }
-                        if (rxNibblesRef.current.length < HEADER_LEN * 2 && rxNibblesRef.current.length > 0) {
-                            // Too short to be a valid packet, abort
-                            resetRxState()
-                            setRxStatus({ cls: 'info', msg: 'LISTENING — WAITING FOR PREAMBLE…' }); return
-                        }
-                    }
-                    sampleBufRef.current = [];
+    // Demodulator sample positions → AudioContext seconds, the clock the waterfall rows are in.
+    // Nothing is marked before the worklet reports its clock (or while replaying a recording).
+    function markWaterfall(e) {
+        const ctx = sharedCtxRef.current
+        if (rxClockRef.current === null || !ctx) return
+        const toTime = n => (rxClockRef.current + n) / ctx.sampleRate
+        const wf = waterfallRef.current
+        if (e.type === 'window') wf.mark({ kind: 'window', start: toTime(e.start), end: toTime(e.end), symbol: e.symbol, present: e.present, header: e.header })
+        else if (e.type === 'preamble') wf.mark({ kind: 'preamble', time: toTime(e.at), label: e.kind === 'tones' ? 'PREAMBLE' : e.kind.toUpperCase() })
+        else wf.mark({ kind: 'data', time: toTime(e.at) })
+    }
 
-                    // CRITICAL CLOCK SYNC FIX:
-                    // Advance perfectly by 1 symbol duration. Do NOT use `now` here, 
-                    // otherwise JavaScript setInterval jitter accumulates and shifts 
-                    // the integration window off the symbol boundaries over time!
-                    lastSymTimeRef.current += sd
+    // ── Waterfall (see waterfall.js) ──
+    // The analyser's spectrum describes the last fftSize samples, so it is stamped half a
+    // window behind currentTime.
+    function drawWaterfall(spectrum, binHz) {
+        const canvas = waterfallCanvasRef.current; const rxCtx = sharedCtxRef.current
+        if (!canvas || !rxCtx) return
+        const wf = waterfallRef.current
+        const { lo, hi } = waterfallSpanRef.current
+        const loBin = Math.floor(lo / binHz)
+        wf.push(rxCtx.currentTime - analyserRef.current.fftSize / 2 / rxCtx.sampleRate, spectrum.subarray(loBin, Math.floor(hi / binHz)))
+        // Our own ladder first, so the symbol windows index it; the other bands' follow
+        const cfgs = rxConfigsRef.current
+        const scale = devicePixelRatio
+        const W = canvas.width = canvas.offsetWidth * scale
+        const H = canvas.height = canvas.offsetHeight * scale
+        wf.draw(canvas.getContext('2d'), W, H, {
+            binHz, loHz: loBin * binHz, scale,
+            tones: cfgs.flatMap(c => toneLadder(c, rxLadderOrder(c, rxCtx.sampleRate))),
+            preambleTones: [...cfgs.flatMap(preambleTones), ...(cfgs[0].band ? [] : [LEGACY_PREAMBLE_FREQ])],
+            label: (sym, header) => header ? String(sym) : symLabel(sym, rxOrderRef.current)
+        })
+    }
 
-                    const nb = rxNibblesRef.current.length
-                    setDecodedBits(`SYM: ${nb}  BYTES: ${Math.floor(nb / 2)}  SILENCE: ${silenceCountRef.current}`)
-                }
-            }
-        }, sampleMs)
+    // The waterfall as shown, under a line with the time and the modem settings, as a PNG
+    function exportWaterfall() {
+        const src = waterfallCanvasRef.current; if (!src || !src.width) return
+        const scale = devicePixelRatio, pad = Math.round(22 * scale)
+        const out = document.createElement('canvas')
+        out.width = src.width; out.height = src.height + pad
+        const g = out.getContext('2d')
+        g.fillStyle = '#050a0e'; g.fillRect(0, 0, out.width, pad)
+        g.drawImage(src, 0, pad)
+        g.fillStyle = '#00d4ff'; g.font = `${10 * scale}px Share Tech Mono`
+        g.fillText(`ACOUST WATERFALL · ${new Date().toLocaleString()} · MFSK-${rxOrderRef.current} · ${symDuration} ms · `
+            + `${band ? `${plan.label} · BAND ${band.label} · ` : ''}`
+            + `${config.baseFreq} Hz + n×${config.freqSpacing} Hz · FEC ${fecRate} · ${preamble.toUpperCase()} · `
+            + `${sharedCtxRef.current?.sampleRate ?? '—'} Hz`, 6 * scale, 15 * scale)
+        out.toBlob(blob => download(blob, `acoust-waterfall-${fileStamp()}.png`), 'image/png')
     }
 
     // ── Spectrum visualizer ──
@@ -540,39 +1053,52 @@ export default function App() {
         const buf = new Uint8Array(analyser.frequencyBinCount)
         analyser.getByteFrequencyData(buf)
         const nyq = rxCtx.sampleRate / 2; const bw = nyq / analyser.frequencyBinCount
-        const freqs = getFreqsLive()
-        const maxHz = freqs[freqs.length - 1] * 1.3; const binsShow = Math.floor(maxHz / bw)
+        // Our own ladder at the order being received, labelled; the other bands' ladders unlabelled
+        const cfgs = rxConfigsRef.current
+        const freqs = toneLadder(cfgs[0], rxOrderRef.current)
+        const ladders = [...freqs, ...cfgs.slice(1).flatMap(c => toneLadder(c, c.order))]
+        const markers = [
+            ...cfgs.flatMap(c => preambleTones(c).map((f, i) => ({ f, l: i ? 'B' : 'A' }))),
+            ...(cfgs[0].band ? [] : [{ f: LEGACY_PREAMBLE_FREQ, l: 'L' }])
+        ]
+        const { lo: minHz, hi: maxHz } = spectrumSpan([{ ...cfgs[0], order: rxOrderRef.current }, ...cfgs.slice(1)], rxCtx.sampleRate)
+        const firstBin = Math.floor(minHz / bw), binsShow = Math.floor(maxHz / bw) - firstBin
+        const xOf = f => (f - minHz) / (maxHz - minHz) * W
+        const labelEvery = Math.max(1, freqs.length / 16)   // keep at most 16 tone labels
 
         ctx.strokeStyle = 'rgba(13,61,90,0.5)'; ctx.lineWidth = 1
         for (let i = 0; i <= 4; i++) { const y = (i / 4) * H; ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke() }
 
         const barW = W / binsShow
         for (let i = 0; i < binsShow; i++) {
-            const v = buf[i] / 255, h = v * H, hz = i * bw
-            let minD = Infinity; freqs.forEach(f => { const d = Math.abs(hz - f); if (d < minD) minD = d })
-            const pADist = Math.abs(hz - PRE_TONE_A); const pBDist = Math.abs(hz - PRE_TONE_B)
+            const v = buf[firstBin + i] / 255, h = v * H, hz = (firstBin + i) * bw
+            let minD = Infinity; ladders.forEach(f => { const d = Math.abs(hz - f); if (d < minD) minD = d })
             let color
-            if (pADist < 60 || pBDist < 60) color = `rgba(255,200,50,${0.5 + v * 0.5})`
-            else if (minD < 80) color = `rgba(0,212,255,${0.4 + v * 0.6})`
+            if (minD < 80) color = `rgba(0,212,255,${0.4 + v * 0.6})`
+            else if (markers.some(m => Math.abs(hz - m.f) < 60)) color = `rgba(255,200,50,${0.5 + v * 0.5})`
             else color = `rgba(20,80,100,${0.25 + v * 0.4})`
             ctx.fillStyle = color
             ctx.fillRect(i * barW, H - h, Math.max(barW - 0.3, 1), h)
         }
         ctx.font = `${7 * devicePixelRatio}px Share Tech Mono`
-        freqs.forEach((f, i) => {
-            const x = (f / maxHz) * W
+        ctx.fillStyle = 'rgba(58,96,112,1)'
+        ctx.fillText(`${kHz(minHz)} kHz`, 2, 8 * devicePixelRatio)
+        ctx.fillText(`${kHz(maxHz)} kHz`, W - ctx.measureText(`${kHz(maxHz)} kHz`).width - 2, 8 * devicePixelRatio)
+        ladders.forEach((f, i) => {
+            const x = xOf(f)
             ctx.strokeStyle = 'rgba(0,212,255,0.3)'; ctx.setLineDash([2, 3]); ctx.lineWidth = 1; ctx.globalAlpha = 0.5
             ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke()
             ctx.setLineDash([]); ctx.globalAlpha = 1; ctx.fillStyle = 'rgba(0,212,255,0.6)'
-            ctx.fillText(i.toString(16).toUpperCase(), x + 1, H - 3)
+            if (i < freqs.length && i % labelEvery === 0) ctx.fillText(symLabel(i, freqs.length), x + 1, H - 3)
         })
-            ;[{ f: PRE_TONE_A, l: 'A' }, { f: PRE_TONE_B, l: 'B' }].forEach(({ f, l }) => {
-                const px = (f / maxHz) * W
+            ;markers.forEach(({ f, l }) => {
+                const px = xOf(f)
                 ctx.strokeStyle = 'rgba(255,200,50,0.4)'; ctx.setLineDash([2, 3]); ctx.lineWidth = 1; ctx.globalAlpha = 0.5
                 ctx.beginPath(); ctx.moveTo(px, 0); ctx.lineTo(px, H); ctx.stroke()
                 ctx.setLineDash([]); ctx.globalAlpha = 1; ctx.fillStyle = 'rgba(255,200,50,0.8)'
                 ctx.fillText(l, px + 1, H - 3)
             })
+        drawWaterfall(buf, bw)
     }
 
     async function startListening() {
@@ -582,7 +1108,6 @@ export default function App() {
                 // ── Loopback mode: single AudioContext, TX → tap → analyser (no mic!) ──
                 ctx = new (window.AudioContext || window.webkitAudioContext)()
                 tap = ctx.createGain(); tap.gain.value = 1
-                tap.connect(ctx.destination)   // also play through speaker
             } else {
                 // ── Acoustic mode: mic → analyser ──
                 const stream = await navigator.mediaDevices.getUserMedia({
@@ -593,26 +1118,73 @@ export default function App() {
                 ctx = new (window.AudioContext || window.webkitAudioContext)()
             }
 
+            // Analyser feeds the spectrum visualizer, waterfall and carrier sense; decoding runs on raw PCM in the worklet
             const analyser = ctx.createAnalyser()
             analyser.fftSize = 4096          // 93ms window; good frequency resolution + fast response
             analyser.smoothingTimeConstant = 0.05  // minimal smoothing for crisp transitions
 
+            await ctx.audioWorklet.addModule(demodWorkletUrl)
+            const demodNode = cfg => new AudioWorkletNode(ctx, 'acoust-demod', {
+                numberOfInputs: 1, numberOfOutputs: 0, channelCount: 1, channelCountMode: 'explicit',
+                processorOptions: demodulatorOptions(cfg, ctx.sampleRate)
+            })
+            const demod = demodNode(config)
+            demod.port.onmessage = ({ data }) => handleDemodEvent(data)
+
+            // Loopback stands in for two devices: a second demodulator, with its own assembler,
+            // is the sending station's receiver, so ARQ acknowledgements cross the same audio path
+            let peer = null
             if (loopback) {
-                tap.connect(analyser)  // TX → tap → analyser
-            } else {
-                // Reconnect the mic to the analyser
-                const stream = micStreamRef.current
-                ctx.createMediaStreamSource(stream).connect(analyser)
+                peer = demodNode(config)
+                const assembler = new PacketAssembler({
+                    command: msg => peer.port.postMessage(msg),
+                    onEvent: e => { if (e.type === 'packet' && e.hdr?.type === TYPE_ACK) handleAckPacket(e) }
+                })
+                peer.port.onmessage = ({ data }) => assembler.handle(data)
             }
 
+            // The plan's other sub-bands, each decoded in a lane of its own
+            const lanes = (plan.bands ?? []).filter(b => b !== band && bandFits(b, ctx.sampleRate)).map(b => {
+                const lane = { band: b, config: bandConfig(config, b), reassembler: new TransferReassembler() }
+                lane.node = demodNode(lane.config)
+                lane.assembler = new PacketAssembler({
+                    command: msg => lane.node.port.postMessage(msg),
+                    onEvent: e => laneEventRef.current?.(lane, e)
+                })
+                lane.node.port.onmessage = ({ data }) => {
+                    if (data.type === 'preamble') updateLane(b.id, { cls: 'warn', msg: 'PREAMBLE — SYNCING…' })
+                    lane.assembler.handle(data)
+                }
+                return lane
+            })
+
+            // TX → tap (→ channel simulator) in loopback mode, otherwise the mic
+            let src = loopback ? tap : ctx.createMediaStreamSource(micStreamRef.current)
+            if (loopback && channelSim) src = await connectChannel(ctx, tap)
+            if (loopback) src.connect(ctx.destination)   // also play through speaker
+            src.connect(analyser); src.connect(demod)
+            if (peer) src.connect(peer)
+            lanes.forEach(l => src.connect(l.node))
+
             sharedCtxRef.current = ctx
             loopTapRef.current = loopback ? tap : null
             analyserRef.current = analyser
-
+            demodNodeRef.current = demod
+            peerDemodRef.current = peer
+            lanesRef.current = lanes
+            rxConfigsRef.current = [config, ...lanes.map(l => l.config)]
+            carrierRef.current = new CarrierSense(senseBands(config, ctx.sampleRate), snrMargin)
+            carrierTimerRef.current = setInterval(senseCarrier, CARRIER_SENSE_MS)
+            resetLanes(lanes)
+
+            rxOrderRef.current = config.order; setRxOrder(config.order)
+            waterfallRef.current.clear(); rxClockRef.current = null
+            waterfallSpanRef.current = spectrumSpan(rxConfigsRef.current, ctx.sampleRate)
             setIsListening(true); isListeningRef.current = true
-            setRxStatus({ cls: 'info', msg: loopback ? 'LOOPBACK — READY TO RECEIVE' : 'LISTENING — WAITING FOR PREAMBLE…' })
+            setRxStatus(band && !bandFits(band, ctx.sampleRate)
+                ? { cls: 'warn', msg: `AUDIO RUNS AT ${ctx.sampleRate} Hz — BAND ${band.label} NEEDS ${minSampleRate(band)} Hz OR MORE` }
+                : { cls: 'info', msg: loopback ? 'LOOPBACK — READY TO RECEIVE' : 'LISTENING — WAITING FOR PREAMBLE…' })
             resetRxState()
-            startSampling()
             requestAnimationFrame(drawVisualizer)
         } catch (e) {
             setRxStatus({ cls: 'warn', msg: 'ERROR: ' + e.message })
@@ -624,31 +1196,215 @@ export default function App() {
         if (micStreamRef.current) micStreamRef.current.getTracks().forEach(t => t.stop())
         if (sharedCtxRef.current) sharedCtxRef.current.close()
         if (rxAnimIdRef.current) cancelAnimationFrame(rxAnimIdRef.current)
-        if (sampleIntervalRef.current) clearInterval(sampleIntervalRef.current)
-        micStreamRef.current = null; sharedCtxRef.current = null
-        loopTapRef.current = null; analyserRef.current = null
+        clearInterval(carrierTimerRef.current); carrierTimerRef.current = null
+        if (demodNodeRef.current) demodNodeRef.current.port.onmessage = null
+        if (peerDemodRef.current) peerDemodRef.current.port.onmessage = null
+        lanesRef.current.forEach(l => { l.node.port.onmessage = null })
+        if (arqSenderRef.current) stopArq('ARQ STOPPED — RECEIVER OFF')
+        if (lbtDoneRef.current) cancelWait('NOT SENT — RECEIVER OFF WHILE WAITING FOR THE CHANNEL')
+        micStreamRef.current = null; sharedCtxRef.current = null; rxClockRef.current = null
+        loopTapRef.current = null; analyserRef.current = null; demodNodeRef.current = null
+        peerDemodRef.current = null; carrierRef.current = null; lanesRef.current = []
+        channelNodesRef.current = null
         setRxStatus({ cls: '', msg: loopback ? 'LOOPBACK INACTIVE' : 'MICROPHONE INACTIVE' })
-        setDebugInfo({ a: '0.000', b: '0.000', dom: '0.000', state: 'IDLE' })
+        setDebugInfo({ a: '0.0', b: '0.0', legacy: '—', dom: '0.0', noise: '—', state: 'IDLE', timing: '0.0', drift: '0', afc: '+0.0', chirp: '0.00' })
     }
 
     function toggleListen() { isListening ? stopListening() : startListening() }
 
+    // ══════════════════════════════════════════════════════
+    // CHANNEL SIMULATOR
+    // ══════════════════════════════════════════════════════
+    function impulseBuffer(ctx, ch) {
+        const ir = roomImpulse(ctx.sampleRate, ch.reverbMs, ch.reverbDb)
+        const buffer = ctx.createBuffer(1, ir.length, ctx.sampleRate)
+        buffer.copyToChannel(ir, 0)
+        return buffer
+    }
+
+    // Loopback path through the simulated room: reverb in a ConvolverNode, then dropouts and
+    // noise in an AudioWorklet (see channel.js). Returns the node the receiver listens to.
+    async function connectChannel(ctx, input) {
+        await ctx.audioWorklet.addModule(channelWorkletUrl)
+        const reverb = ctx.createConvolver()
+        reverb.normalize = false
+        reverb.buffer = impulseBuffer(ctx, channel)
+        const noise = new AudioWorkletNode(ctx, 'acoust-channel', {
+            numberOfInputs: 1, numberOfOutputs: 1, outputChannelCount: [1], channelCount: 1, channelCountMode: 'explicit',
+            processorOptions: { params: channel, seed: Math.floor(Math.random() * 2 ** 32) }
+        })
+        input.connect(reverb); reverb.connect(noise)
+        channelNodesRef.current = { reverb, noise }
+        return noise
+    }
+
+    // Channel settings apply to a running loopback straight away
+    useEffect(() => {
+        const nodes = channelNodesRef.current
+        if (!nodes || !sharedCtxRef.current) return
+        nodes.noise.port.postMessage(channel)
+        nodes.reverb.buffer = impulseBuffer(sharedCtxRef.current, channel)
+    }, [channel]) // eslint-disable-line
+
+    function setChannelParam(id, value) {
+        setChannel(ch => ({ ...ch, [id]: value }))
+    }
+
+    function pickSweepParam(id) {
+        const p = SWEEP_PARAMS.find(q => q.id === id)
+        setSweepParam(id); setSweepFrom(p.min); setSweepTo(p.max)
+    }
+
+    async function startSweep() {
+        const p = SWEEP_PARAMS.find(q => q.id === sweepParam)
+        const values = sweepValues(sweepFrom, sweepTo, sweepSteps, p.step)
+        sweepStopRef.current = false
+        setSweep({ param: p, values, points: [] })
+        setSweepRun({ done: 0, total: values.length * sweepPackets })
+        setSweepStatus({ cls: 'info', msg: `SWEEPING ${p.label} — ${values.length} × ${sweepPackets} PACKETS…` })
+        try {
+            const points = await runSweep({
+                config, channel, param: p.id, values, packets: sweepPackets, payloadLen: sweepBytes, sampleRate: WAV_RATE,
+                stop: () => sweepStopRef.current,
+                onProgress: (done, total, pts) => {
+                    setSweepRun({ done, total })
+                    setSweep(s => ({ ...s, points: pts.map(q => ({ ...q })) }))
+                }
+            })
+            const sent = points.reduce((n, q) => n + q.packets, 0)
+            setSweepStatus(sweepStopRef.current
+                ? { cls: 'warn', msg: `STOPPED — ${sent} PACKETS SIMULATED` }
+                : { cls: 'ok', msg: `DONE — ${sent} PACKETS SIMULATED` })
+        } catch (err) {
+            setSweepStatus({ cls: 'warn', msg: `SWEEP FAILED — ${err.message}` })
+        } finally {
+            setSweepRun(null)
+        }
+    }
+
+    // ── BER / PER plot: error rate on a log scale against the swept value ──
+    function drawSweep() {
+        const canvas = sweepCanvasRef.current; if (!canvas) return
+        const ctx = canvas.getContext('2d')
+        const dpr = devicePixelRatio
+        const W = canvas.width = canvas.offsetWidth * dpr
+        const H = canvas.height = canvas.offsetHeight * dpr
+        ctx.clearRect(0, 0, W, H)
+        if (!sweep) return
+        const { values, points } = sweep
+        const decades = -Math.log10(SWEEP_FLOOR)
+        const left = 34 * dpr, right = W - 10 * dpr, top = 8 * dpr, bottom = H - 18 * dpr
+        const lo = Math.min(...values), hi = Math.max(...values)
+        const x = v => left + (hi === lo ? 0.5 : (v - lo) / (hi - lo)) * (right - left)
+        const y = rate => top + Math.min(decades, -Math.log10(Math.max(rate, SWEEP_FLOOR))) / decades * (bottom - top)
+
+        ctx.font = `${8 * dpr}px Share Tech Mono`
+        ctx.lineWidth = 1
+        for (let d = 0; d <= decades; d++) {
+            const py = y(10 ** -d)
+            ctx.strokeStyle = 'rgba(13,61,90,0.6)'; ctx.beginPath(); ctx.moveTo(left, py); ctx.lineTo(right, py); ctx.stroke()
+            ctx.fillStyle = 'rgba(58,96,112,1)'; ctx.fillText(d ? `1e-${d}` : '1', 2 * dpr, py + 3 * dpr)
+        }
+        values.forEach(v => {
+            ctx.fillStyle = 'rgba(58,96,112,1)'
+            ctx.fillText(String(v), x(v) - 6 * dpr, H - 4 * dpr)
+        })
+        ;[{ key: 'ber', color: '0,212,255' }, { key: 'per', color: '255,107,53' }].forEach(({ key, color }) => {
+            const done = points.filter(q => q.packets > 0)
+            ctx.strokeStyle = `rgba(${color},0.9)`; ctx.fillStyle = `rgba(${color},1)`; ctx.lineWidth = 1.5 * dpr
+            ctx.beginPath()
+            done.forEach((q, i) => { i ? ctx.lineTo(x(q.value), y(q[key])) : ctx.moveTo(x(q.value), y(q[key])) })
+            ctx.stroke()
+            done.forEach(q => { ctx.beginPath(); ctx.arc(x(q.value), y(q[key]), 2.5 * dpr, 0, 2 * Math.PI); ctx.fill() })
+        })
+    }
+    useEffect(() => { drawSweep() }, [sweep]) // eslint-disable-line
+
+    // Runs a recording through the same Demodulator and packet state machine as live audio,
+    // on this thread. Events are queued per 128-sample block and handled in between, just as
+    // the worklet's messages would arrive.
+    async function decodeFile(file) {
+        if (!file || isListeningRef.current || fileDemodRef.current) return
+        let audio
+        try {
+            audio = await new OfflineAudioContext(1, 1, WAV_RATE).decodeAudioData(await file.arrayBuffer())
+        } catch (err) {
+            setRxStatus({ cls: 'warn', msg: `CANNOT DECODE ${file.name.toUpperCase()} — ${err.message}` }); return
+        }
+        // Mono mix-down, plus two symbols of silence so a packet running to the very end is closed
+        const rate = audio.sampleRate
+        const pcm = new Float32Array(audio.length + 2 * Math.round(symDuration * rate / 1000))
+        for (let c = 0; c < audio.numberOfChannels; c++) {
+            const ch = audio.getChannelData(c)
+            for (let i = 0; i < ch.length; i++) pcm[i] += ch[i] / audio.numberOfChannels
+        }
+
+        const queue = []
+        let preambles = 0
+        fileDemodRef.current = new Demodulator({ ...demodulatorOptions(config, rate), onEvent: e => queue.push(e) })
+        resetRxState()
+        rxOrderRef.current = config.order; setRxOrder(config.order)
+        setFileDecode({ name: file.name, pct: 0 })
+        setRxStatus({ cls: 'info', msg: `DECODING ${file.name.toUpperCase()}…` })
+        try {
+            for (let off = 0; off < pcm.length; off += rate) {   // about a second of audio per UI tick
+                const end = Math.min(pcm.length, off + rate)
+                for (let i = off; i < end; i += 128) {
+                    fileDemodRef.current.process(pcm.subarray(i, Math.min(end, i + 128)))
+                    while (queue.length) {
+                        const e = queue.shift()
+                        if (e.type === 'preamble') preambles++
+                        handleDemodEvent(e)
+                    }
+                }
+                setFileDecode({ name: file.name, pct: end / pcm.length * 100 })
+                await new Promise(r => setTimeout(r, 0))
+            }
+        } finally {
+            fileDemodRef.current = null
+            resetRxState()
+            setFileDecode(null)
+        }
+        if (!preambles) setRxStatus({ cls: 'warn', msg: `NO PREAMBLE FOUND IN ${file.name.toUpperCase()}` })
+    }
+
     function clearOutput() {
         setRxOutput('—'); setRxOutputHas(false); setDecodedBits('')
         setRxImgSrc(null); setRxImgProg({ visible: false, pct: 0, label: 'RECEIVING…' })
+        setRxVerdict(null); showRxFile(null); lockedRef.current = null
+        reassemblerRef.current.clear(); setRxTransfers([])
+        lanesRef.current.forEach(l => l.reassembler.clear()); resetLanes(lanesRef.current)
         resetRxState()
     }
-    useEffect(() => () => { stopListening() }, []) // eslint-disable-line
+    useEffect(() => () => { stopListening(); txCtxRef.current?.close() }, []) // eslint-disable-line
 
     // ══════════════════════════════════════════════════════
     // RENDER
     // ══════════════════════════════════════════════════════
+    const arqActive = txBusy && arq
+    // Segment map: incomplete transfers, plus the one whose first segment is on the air now
+    const textMeta = txMode === 'text' && txInput ? payloadEstimate(new TextEncoder().encode(txInput)) : null
+    const sizeRows = m => <>
+        RAW: <span>{formatBytes(m.rawBytes)} · ~{m.rawSec}s</span><br />
+        COMPRESSED: {m.compressed
+            ? <span className="fast">{formatBytes(m.bytes)} · ~{m.estSec}s (−{Math.round(100 * (1 - m.bytes / m.rawBytes))}%)</span>
+            : <span>NOT SMALLER — SENT RAW</span>}<br />
+        {passphrase && <>SEALED: <span>AES-GCM · +{SEAL_OVERHEAD} bytes</span><br /></>}
+        SYMBOLS: <span>{m.totalSymbols}</span><br />
+        {m.segments > 1 && <>SEGMENTS: <span>{m.segments}</span><br /></>}
+    </>
+    const gridFreqs = toneLadder(config, rxOrder)   // tone of each symbol-grid cell
+    const shownHistory = historyQuery.trim() ? history.filter(e => matchesQuery(e, historyQuery.trim())) : history
+    const segmentOnAir = t => rxSegment && t.id === rxSegment.id && t.src === rxSegment.src
+    const segTransfers = rxSegment && !rxTransfers.some(segmentOnAir)
+        ? [{ id: rxSegment.id, src: rxSegment.src, type: null, count: rxSegment.count, received: [], failed: [], missing: [...Array(rxSegment.count).keys()] }, ...rxTransfers]
+        : rxTransfers
     return (
         <>
             <header className="header">
                 <h1 className="logo">ACOUST</h1>
-                <div className="tagline">MFSK-16 · 4 bits per symbol · Acoustic Data Modem</div>
-                <div className="speed-badge">⚡ 4× FASTER THAN BFSK</div>
+                <div className="tagline">{mode.label} · {mode.bits} bits per symbol · Acoustic Data Modem</div>
+                <div className="speed-badge">⚡ {mode.bits}× FASTER THAN BFSK</div>
             </header>
 
             <div className="config-bar">
@@ -659,23 +1415,82 @@ export default function App() {
                 </div>
                 <div className="config-item">
                     <label htmlFor="baseFreq">BASE FREQ (Hz)</label>
-                    <input id="baseFreq" type="number" value={baseFreq} min="400" max="3000" step="100"
-                        onChange={e => setBaseFreq(+e.target.value)} disabled={isListening} />
+                    <input id="baseFreq" type="number" value={config.baseFreq} min="400" max="3000" step="100"
+                        onChange={e => setBaseFreq(+e.target.value)} disabled={isListening || !!band} title={band ? 'set by the band' : undefined} />
                 </div>
                 <div className="config-item">
                     <label htmlFor="freqSpacing">FREQ SPACING (Hz)</label>
-                    <input id="freqSpacing" type="number" value={freqSpacing} min="50" max="500" step="50"
-                        onChange={e => setFreqSpacing(+e.target.value)} disabled={isListening} />
+                    <input id="freqSpacing" type="number" value={config.freqSpacing} min="50" max="500" step="50"
+                        onChange={e => setFreqSpacing(+e.target.value)} disabled={isListening || !!band} title={band ? 'set by the band' : undefined} />
                 </div>
+                <div className="config-item">
+                    <label htmlFor="profile" title="QUIET sends preamble and data at 17–20 kHz, inaudible to most adults; needs 44.1 kHz audio or more">PROFILE</label>
+                    <select id="profile" value={profile} disabled={isListening} onChange={e => setProfile(e.target.value)}>
+                        {PROFILES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                </div>
+                <div className="config-item">
+                    <label htmlFor="bandPlan" title="split the room into sub-bands, so several links can be on the air at once">BAND PLAN</label>
+                    <select id="bandPlan" value={bandPlanId} disabled={isListening || profile !== 'audible'}
+                        onChange={e => { setBandPlanId(e.target.value); setBandIndex(0) }}>
+                        {BAND_PLANS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                </div>
+                {plan.bands?.length > 1 && (
+                    <div className="config-item">
+                        <label htmlFor="bandIndex" title="the sub-band this station sends on; the others are decoded in lanes of their own">BAND</label>
+                        <select id="bandIndex" value={bandIndex} disabled={isListening} onChange={e => setBandIndex(+e.target.value)}>
+                            {plan.bands.map((b, i) => <option key={b.id} value={i}>{b.label}</option>)}
+                        </select>
+                    </div>
+                )}
                 <div className="config-item">
                     <label htmlFor="imgSize">IMG SIZE (px)</label>
                     <input id="imgSize" type="number" value={imgSize} min="8" max="128" step="8"
                         onChange={e => setImgSize(+e.target.value)} />
                 </div>
                 <div className="config-item">
-                    <label htmlFor="threshold">SENSITIVITY</label>
-                    <input id="threshold" type="number" value={threshold} min="0.01" max="0.5" step="0.01"
-                        onChange={e => setThreshold(+e.target.value)} />
+                    <label htmlFor="snrMargin" title="how far above the learned noise floor a tone must rise">SNR MARGIN (dB)</label>
+                    <input id="snrMargin" type="number" value={snrMargin} min="3" max="40" step="1"
+                        onChange={e => setSnrMargin(+e.target.value)} />
+                </div>
+                <div className="config-item">
+                    <label htmlFor="order">MODULATION</label>
+                    <select id="order" value={config.order} onChange={e => setOrder(+e.target.value)}>
+                        {MFSK_ORDERS.map(o => <option key={o.order} value={o.order} disabled={o.order > (config.maxOrder ?? Infinity)}>{o.label}</option>)}
+                    </select>
+                </div>
+                <div className="config-item">
+                    <label htmlFor="fecRate">FEC</label>
+                    <select id="fecRate" value={fecRate} onChange={e => setFecRate(e.target.value)}>
+                        {FEC_RATES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                    </select>
+                </div>
+                <div className="config-item">
+                    <label htmlFor="preamble">PREAMBLE</label>
+                    <select id="preamble" value={preamble} onChange={e => setPreamble(e.target.value)}>
+                        {PREAMBLES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                </div>
+                <div className="config-item">
+                    <label htmlFor="passphrase" title="shared by TX and RX; packets are sealed with AES-GCM when set">PASSPHRASE (E2E)</label>
+                    <input id="passphrase" type="password" value={passphrase} placeholder="off — sent in the clear" autoComplete="off"
+                        onChange={e => setPassphrase(e.target.value)} />
+                </div>
+                <div className="config-item">
+                    <label htmlFor="stationId" title="this device's station ID, 1–254; kept across reloads">OWN ID</label>
+                    <input id="stationId" type="number" value={stationId} min="1" max={MAX_STATION_ID} step="1"
+                        onChange={e => setStationId(Math.min(MAX_STATION_ID, Math.max(1, Math.round(+e.target.value) || 1)))} />
+                </div>
+                <div className="config-item">
+                    <label htmlFor="channelNo" title="stations on other channels ignore each other">CHANNEL</label>
+                    <input id="channelNo" type="number" value={channelNo} min="0" max="255" step="1"
+                        onChange={e => setChannelNo(Math.min(255, Math.max(0, Math.round(+e.target.value) || 0)))} />
+                </div>
+                <div className="config-item">
+                    <label htmlFor="destId" title="station ID to send to; empty sends to every station on the channel">SEND TO</label>
+                    <input id="destId" type="number" value={destId === BROADCAST ? '' : destId} min="1" max={MAX_STATION_ID} step="1" placeholder="ALL"
+                        onChange={e => setDestId(e.target.value === '' ? BROADCAST : Math.min(MAX_STATION_ID, Math.max(1, Math.round(+e.target.value) || 1)))} />
                 </div>
                 <div className="baud-display">{baudRate} bps</div>
             </div>
@@ -691,6 +1506,7 @@ export default function App() {
                     <div className="mode-tabs">
                         <button className={`tab-btn${txMode === 'text' ? ' active' : ''}`} id="tabText" onClick={() => setTxMode('text')}>◈ TEXT</button>
                         <button className={`tab-btn${txMode === 'image' ? ' active' : ''}`} id="tabImage" onClick={() => setTxMode('image')}>◧ IMAGE</button>
+                        <button className={`tab-btn${txMode === 'file' ? ' active' : ''}`} id="tabFile" onClick={() => setTxMode('file')}>▤ FILE</button>
                     </div>
 
                     {txMode === 'text' && (
@@ -698,6 +1514,7 @@ export default function App() {
                             <div className="section-label">Message Input</div>
                             <textarea id="txInput" rows="4" placeholder="Enter message to transmit..."
                                 value={txInput} onChange={e => setTxInput(e.target.value)} />
+                            {textMeta && <div className="img-meta">{sizeRows(textMeta)}</div>}
                         </div>
                     )}
 
@@ -726,6 +1543,7 @@ export default function App() {
                                             SIZE: <span>{imgMeta.w}×{imgMeta.h}px</span><br />
                                             JPEG: <span className="fast">{imgMeta.bytes} bytes</span><br />
                                             SYMBOLS: <span>{imgMeta.totalSymbols}</span><br />
+                                            {imgMeta.segments > 1 && <>SEGMENTS: <span>{imgMeta.segments}</span><br /></>}
                                             EST TIME: <span className="fast">~{imgMeta.estSec}s</span>
                                         </div>
                                     )}
@@ -734,7 +1552,47 @@ export default function App() {
                         </div>
                     )}
 
-                    <button id="txBtn" className="btn btn-transmit" onClick={transmit} disabled={txBusy}>▶ TRANSMIT</button>
+                    {txMode === 'file' && (
+                        <div id="fileMode">
+                            <div className="section-label">File Upload (sent as-is, with its name and type)</div>
+                            <div className={`img-drop${fileDragOver ? ' drag-over' : ''}`} id="fileDrop"
+                                onDragOver={e => { e.preventDefault(); setFileDragOver(true) }}
+                                onDragLeave={() => setFileDragOver(false)}
+                                onDrop={e => { e.preventDefault(); setFileDragOver(false); handleFile(e.dataTransfer.files[0]) }}>
+                                <input type="file" id="fileInput" onChange={e => { handleFile(e.target.files[0]); e.target.value = '' }} />
+                                <div className="drop-icon">⬆</div>
+                                <div className="drop-label">{fileMeta ? 'FILE LOADED — DROP NEW TO REPLACE' : 'DROP ANY FILE · CLICK TO BROWSE'}</div>
+                            </div>
+                            {fileMeta && (
+                                <div className="img-meta file-meta">
+                                    NAME: <span>{fileMeta.name}</span><br />
+                                    TYPE: <span>{fileMeta.mime || 'application/octet-stream'}</span><br />
+                                    SIZE: <span>{formatBytes(fileMeta.size)}</span><br />
+                                    {sizeRows(fileMeta)}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="loopback-row">
+                        <label className="loopback-label" htmlFor="arqToggle">
+                            <input id="arqToggle" type="checkbox" checked={arq} disabled={txBusy}
+                                onChange={e => setArq(e.target.checked)} />
+                            <span>RELIABLE (ARQ)</span>
+                            <span className="loopback-hint">— receiver ACKs every {ARQ_WINDOW} segments; needs RX running on both ends</span>
+                        </label>
+                    </div>
+
+                    {lbtWaiting ? (<>
+                        <button id="txBtn" className="btn btn-transmit" onClick={() => lbtDoneRef.current?.(true)}
+                            title="transmit now, over whatever is on the channel">▶ SEND ANYWAY</button>
+                        <button id="wavBtn" className="btn btn-wav" onClick={() => cancelWait()}>■ CANCEL</button>
+                    </>) : (<>
+                        <button id="txBtn" className="btn btn-transmit" onClick={arqActive ? () => stopArq() : transmit} disabled={txBusy && !arqActive}>
+                            {arqActive ? '■ STOP ARQ' : '▶ TRANSMIT'}
+                        </button>
+                        <button id="wavBtn" className="btn btn-wav" onClick={saveWav} disabled={txBusy}>⬇ SAVE AS WAV</button>
+                    </>)}
                     <div className={`tx-anim${txAnimOn ? ' on' : ''}`} />
                     <div className="progress-wrap"><div className="progress-bar" style={{ width: txProgress + '%' }} /></div>
                     <div className={`status${txStatus.cls ? ' ' + txStatus.cls : ''}`}>{txStatus.msg}</div>
@@ -748,23 +1606,39 @@ export default function App() {
 
                     <canvas id="rxCanvas" ref={rxCanvasRef} />
 
-                    {isListening && (
+                    <div className="section-label">
+                        Waterfall · symbol windows <button className="clear-btn" onClick={exportWaterfall} title="save the waterfall as a PNG">[ PNG ]</button>
+                    </div>
+                    <canvas id="rxWaterfall" ref={waterfallCanvasRef} />
+
+                    {(isListening || fileDecode) && (
                         <div className="debug-bar">
                             <span>STATE: <em style={{ color: debugInfo.state === 'DATA' ? 'var(--accent3)' : debugInfo.state === 'SYNC' ? 'var(--accent2)' : 'var(--dim)' }}>{debugInfo.state}</em></span>
-                            <span>PRE-A: <em style={{ color: +debugInfo.a > threshold ? 'var(--accent3)' : 'var(--dim)' }}>{debugInfo.a}</em></span>
-                            <span>PRE-B: <em style={{ color: +debugInfo.b > threshold ? 'var(--accent3)' : 'var(--dim)' }}>{debugInfo.b}</em></span>
-                            <span>DATA: <em style={{ color: +debugInfo.dom > threshold ? 'var(--accent)' : 'var(--dim)' }}>{debugInfo.dom}</em></span>
-                            <span style={{ color: 'var(--dim)' }}>THRESH: {threshold}</span>
+                            <span title="SNR above the tone's noise floor">PRE-A: <em style={{ color: +debugInfo.a > snrMargin ? 'var(--accent3)' : 'var(--dim)' }}>{debugInfo.a} dB</em></span>
+                            <span title="SNR above the tone's noise floor">PRE-B: <em style={{ color: +debugInfo.b > snrMargin ? 'var(--accent3)' : 'var(--dim)' }}>{debugInfo.b} dB</em></span>
+                            <span title="500 Hz preamble of the original acoustic-modem.html, SNR above its noise floor">LEGACY: <em style={{ color: +debugInfo.legacy > snrMargin ? 'var(--accent3)' : 'var(--dim)' }}>{debugInfo.legacy} dB</em></span>
+                            <span title="automatic frequency control: measured offset at the preamble tones">AFC: <em style={{ color: Math.abs(+debugInfo.afc) >= 0.5 ? 'var(--accent2)' : 'var(--dim)' }}>{debugInfo.afc} Hz</em></span>
+                            <span title="normalized chirp matched-filter output">CHIRP: <em style={{ color: +debugInfo.chirp > 0.3 ? 'var(--accent3)' : 'var(--dim)' }}>{debugInfo.chirp}</em></span>
+                            <span title="SNR of the strongest data tone">DATA: <em style={{ color: +debugInfo.dom > snrMargin ? 'var(--accent)' : 'var(--dim)' }}>{debugInfo.dom} dB</em></span>
+                            <span title="timing-recovery correction since data start">TIMING: <em style={{ color: debugInfo.state === 'DATA' ? 'var(--accent)' : 'var(--dim)' }}>{debugInfo.timing} ms</em></span>
+                            <span title="estimated sender/receiver clock mismatch">DRIFT: <em style={{ color: debugInfo.state === 'DATA' ? 'var(--accent)' : 'var(--dim)' }}>{debugInfo.drift} ppm</em></span>
+                            <span style={{ color: 'var(--dim)' }} title="loudest learned per-tone noise floor (dBFS, one hop) / SNR margin">NOISE: {debugInfo.noise} dB · MARGIN: {snrMargin} dB</span>
                         </div>
                     )}
 
-                    <div className="symbol-grid" id="symbolGrid">
+                    <div className="symbol-grid" id="symbolGrid" style={{ gridTemplateColumns: `repeat(${rxOrder > 16 ? 16 : 8}, 1fr)` }}>
                         {symCells.map((c, i) => (
-                            <div key={i} id={`sym${i}`} className={`sym-cell${c.hottest ? ' hottest' : c.hot ? ' hot' : ''}`}>
-                                {i.toString(16).toUpperCase()}
+                            <div key={i} id={`sym${i}`} className={`sym-cell${c.hottest ? ' hottest' : c.hot ? ' hot' : ''}`}
+                                title={`${gridFreqs[i]} Hz${c.snr === null ? '' : ` · ${c.snr} dB above noise`}`}>
+                                {symLabel(i, rxOrder)}
+                                <span className="sym-snr">{c.snr === null ? '' : c.snr}</span>
                             </div>
                         ))}
                     </div>
+                    <div className="sym-range">
+                        TONES {kHz(gridFreqs[0])}–{kHz(gridFreqs[gridFreqs.length - 1])} kHz · {config.freqSpacing} Hz APART
+                        {band && ` · BAND ${band.label}`}
+                    </div>
 
                     {/* Loopback toggle */}
                     <div className="loopback-row">
@@ -774,9 +1648,35 @@ export default function App() {
                             <span>LOOPBACK MODE</span>
                             <span className="loopback-hint">{loopback ? '— TX routes directly to RX (same device, no mic)' : '— uses microphone (separate devices)'}</span>
                         </label>
+                        <label className="loopback-label" htmlFor="channelToggle">
+                            <input id="channelToggle" type="checkbox" checked={channelSim} disabled={isListening || !loopback}
+                                onChange={e => setChannelSim(e.target.checked)} />
+                            <span>CHANNEL SIM</span>
+                            <span className="loopback-hint">— loopback passes through the simulated channel below</span>
+                        </label>
+                        <label className="loopback-label" htmlFor="monitorToggle">
+                            <input id="monitorToggle" type="checkbox" checked={monitor} onChange={e => setMonitor(e.target.checked)} />
+                            <span>MONITOR</span>
+                            <span className="loopback-hint">{monitor ? '— showing traffic for every station and channel' : `— only traffic for #${rxStation.id} or ALL on CH ${channelNo}`}</span>
+                        </label>
                     </div>
 
-                    <button id="listenBtn" className={`btn btn-listen${isListening ? ' active' : ''}`} onClick={toggleListen}>
+                    {!isListening && (
+                        <div className={`img-drop rx-file-drop${rxDragOver ? ' drag-over' : ''}`} id="rxFileDrop"
+                            onDragOver={e => { e.preventDefault(); setRxDragOver(true) }}
+                            onDragLeave={() => setRxDragOver(false)}
+                            onDrop={e => { e.preventDefault(); setRxDragOver(false); decodeFile(e.dataTransfer.files[0]) }}>
+                            <input type="file" id="rxFileInput" accept="audio/*,.wav" disabled={!!fileDecode}
+                                onChange={e => { decodeFile(e.target.files[0]); e.target.value = '' }} />
+                            <div className="drop-label">
+                                {fileDecode
+                                    ? `DECODING ${fileDecode.name.toUpperCase()} — ${fileDecode.pct.toFixed(0)}%`
+                                    : 'DROP WAV / RECORDING · CLICK TO BROWSE'}
+                            </div>
+                        </div>
+                    )}
+
+                    <button id="listenBtn" className={`btn btn-listen${isListening ? ' active' : ''}`} onClick={toggleListen} disabled={!!fileDecode}>
                         {isListening ? '■ STOP' : loopback ? '⬤ START LOOPBACK' : '⬤ START LISTENING'}
                     </button>
                     <div className={`status${rxStatus.cls ? ' ' + rxStatus.cls : ''}`}>{rxStatus.msg}</div>
@@ -786,6 +1686,58 @@ export default function App() {
                         <div className="rx-img-bar-wrap"><div className="rx-img-bar" style={{ width: rxImgProg.pct + '%' }} /></div>
                     </div>
 
+                    {segTransfers.length > 0 && (
+                        <div className="rx-transfers">
+                            {segTransfers.map(t => (
+                                <div className="rx-transfer" key={`${t.src}:${t.id}`}>
+                                    <div className="rx-transfer-label">
+                                        TRANSFER #{t.id.toString(16).toUpperCase().padStart(4, '0')}
+                                        {t.src > 0 && ` · FROM #${t.src}`}
+                                        {typeLabel(t.type) && ` · ${typeLabel(t.type)}`}
+                                        {' '}· {t.count - t.missing.length}/{t.count} SEGMENTS · MISSING {segmentList(t.missing)}
+                                    </div>
+                                    <div className="seg-cells">
+                                        {Array.from({ length: t.count }, (_, i) => {
+                                            const live = segmentOnAir(t) && rxSegment.index === i
+                                            const cls = t.received[i] ? ' ok' : live ? ' live' : t.failed.includes(i) ? ' bad' : ''
+                                            return (
+                                                <div key={i} className={`seg-cell${cls}`} title={`segment ${i + 1}`}>
+                                                    {live && <div className="seg-fill" style={{ width: rxSegment.pct + '%' }} />}
+                                                    <span>{i + 1}</span>
+                                                </div>
+                                            )
+                                        })}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {rxLanes.length > 0 && (
+                        <div className="rx-lanes">
+                            <div className="section-label">Band lanes · other sub-bands of the plan</div>
+                            {rxLanes.map(l => (
+                                <div className="rx-lane" key={l.id}>
+                                    <div className="rx-lane-label">{l.label}</div>
+                                    <div className={`status${l.cls ? ' ' + l.cls : ''}`}>{l.msg}</div>
+                                    {l.file
+                                        ? <a className="rx-file-link" href={l.url} download={l.file.name} title={l.file.mime}>
+                                            ⬇ {l.file.name} <span>{formatBytes(l.file.size)} · {l.file.mime}</span>
+                                        </a>
+                                        : l.url
+                                            ? <img src={l.url} alt={`received on ${l.label}`} />
+                                            : <div className="rx-lane-output">{l.output}</div>}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {rxFile && (
+                        <a className="rx-file-link" href={rxFile.url} download={rxFile.name} title={rxFile.mime}>
+                            ⬇ {rxFile.name} <span>{formatBytes(rxFile.size)} · {rxFile.mime}</span>
+                        </a>
+                    )}
+
                     {rxImgSrc && (
                         <img id="rxImageCanvas" src={rxImgSrc} alt="received" className="visible"
                             style={{ ...rxImgStyle, imageRendering: 'pixelated', border: '1px solid var(--accent3)', boxShadow: '0 0 12px rgba(57,255,20,0.2)', marginTop: 12 }} />
@@ -794,13 +1746,149 @@ export default function App() {
                     <div className="section-label">
                         Decoded Output <button className="clear-btn" onClick={clearOutput}>[ CLEAR ]</button>
                     </div>
-                    <div className={`output-area${rxOutputHas ? ' has-content' : ''}`}>{rxOutput}</div>
+                    {rxVerdict && (
+                        <div className={`rx-verdict ${rxVerdict.kind === 'ok' || rxVerdict.kind === 'legacy' ? 'ok' : rxVerdict.kind === 'locked' ? 'locked' : 'bad'}`}>
+                            {rxVerdict.kind === 'ok' ? '✓ CRC OK' : rxVerdict.kind === 'legacy' ? '✓ LEGACY v1 PACKET — NO CRC, UNVERIFIED'
+                                : rxVerdict.kind === 'locked' ? '🔒 CRC OK · ENCRYPTED — WRONG OR MISSING KEY'
+                                : rxVerdict.kind === 'header' ? '✗ HEADER CORRUPT' : rxVerdict.kind === 'version' ? '✗ UNSUPPORTED VERSION' : '✗ PAYLOAD CORRUPT'}
+                            {rxVerdict.hex && <div className="rx-verdict-hex">{rxVerdict.hex}</div>}
+                        </div>
+                    )}
+                    <div className={`output-area${rxOutputHas ? ' has-content' : ''}${rxVerdict?.kind === 'locked' ? ' locked' : ''}`}>
+                        {Array.isArray(rxOutput)
+                            ? rxOutput.map((r, i) => r.low ? <span key={i} className="low-conf" title="low-confidence symbols">{r.text}</span> : r.text)
+                            : rxOutput}
+                    </div>
                     <div className="status" style={{ marginTop: 6 }}>{decodedBits}</div>
                 </section>
+
+                {/* ══ CHANNEL SIMULATOR ══ */}
+                <section className="panel panel-channel">
+                    <div className="corner-deco tl" /><div className="corner-deco tr" />
+                    <div className="corner-deco bl" /><div className="corner-deco br" />
+                    <div className="panel-title"><span className="dot" />CH — CHANNEL SIMULATOR</div>
+
+                    <div className="section-label">Impairments (live in loopback with CHANNEL SIM on)</div>
+                    <div className="channel-grid">
+                        {CHANNEL_PARAMS.map(p => (
+                            <div className="config-item" key={p.id}>
+                                <label htmlFor={`ch-${p.id}`}>{p.label} ({p.unit})</label>
+                                <input id={`ch-${p.id}`} type="number" value={channel[p.id]} min={p.min} max={p.max} step={p.step}
+                                    onChange={e => setChannelParam(p.id, +e.target.value)} />
+                            </div>
+                        ))}
+                        <button className="clear-btn" onClick={() => setChannel(CHANNEL_DEFAULTS)}>[ RESET ]</button>
+                    </div>
+
+                    <div className="section-label">BER / PER Sweep (current modem config, {WAV_RATE / 1000} kHz)</div>
+                    <div className="channel-grid">
+                        <div className="config-item">
+                            <label htmlFor="sweepParam">SWEEP</label>
+                            <select id="sweepParam" value={sweepParam} onChange={e => pickSweepParam(e.target.value)} disabled={!!sweepRun}>
+                                {SWEEP_PARAMS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                            </select>
+                        </div>
+                        <div className="config-item">
+                            <label htmlFor="sweepFrom">FROM</label>
+                            <input id="sweepFrom" type="number" value={sweepFrom} onChange={e => setSweepFrom(+e.target.value)} disabled={!!sweepRun} />
+                        </div>
+                        <div className="config-item">
+                            <label htmlFor="sweepTo">TO</label>
+                            <input id="sweepTo" type="number" value={sweepTo} onChange={e => setSweepTo(+e.target.value)} disabled={!!sweepRun} />
+                        </div>
+                        <div className="config-item">
+                            <label htmlFor="sweepSteps">STEPS</label>
+                            <input id="sweepSteps" type="number" value={sweepSteps} min="1" max="20"
+                                onChange={e => setSweepSteps(Math.max(1, +e.target.value))} disabled={!!sweepRun} />
+                        </div>
+                        <div className="config-item">
+                            <label htmlFor="sweepPackets">PACKETS / STEP</label>
+                            <input id="sweepPackets" type="number" value={sweepPackets} min="1" max="100"
+                                onChange={e => setSweepPackets(Math.max(1, +e.target.value))} disabled={!!sweepRun} />
+                        </div>
+                        <div className="config-item">
+                            <label htmlFor="sweepBytes">BYTES</label>
+                            <input id="sweepBytes" type="number" value={sweepBytes} min="1" max="512"
+                                onChange={e => setSweepBytes(Math.max(1, +e.target.value))} disabled={!!sweepRun} />
+                        </div>
+                    </div>
+
+                    <button className={`btn btn-sweep${sweepRun ? ' active' : ''}`}
+                        onClick={() => { sweepRun ? (sweepStopRef.current = true) : startSweep() }}>
+                        {sweepRun ? '■ STOP SWEEP' : '▶ RUN SWEEP'}
+                    </button>
+                    <div className="progress-wrap">
+                        <div className="progress-bar" style={{ width: (sweepRun ? 100 * sweepRun.done / sweepRun.total : 0) + '%' }} />
+                    </div>
+                    <div className={`status${sweepStatus.cls ? ' ' + sweepStatus.cls : ''}`}>{sweepStatus.msg}</div>
+
+                    <canvas id="sweepCanvas" ref={sweepCanvasRef} />
+                    <div className="sweep-legend"><span className="ber">━ BER (pre-FEC)</span><span className="per">━ PER</span></div>
+                    {sweep && sweep.points.length > 0 && (
+                        <table className="sweep-table">
+                            <thead>
+                                <tr><th>{sweep.param.label} ({sweep.param.unit})</th><th>PACKETS</th><th>LOST</th><th>BIT ERRORS</th><th>BER</th><th>PER</th></tr>
+                            </thead>
+                            <tbody>
+                                {sweep.points.map(q => (
+                                    <tr key={q.value}>
+                                        <td>{q.value}</td><td>{q.packets}</td><td>{q.lost}</td>
+                                        <td>{q.bitErrors}/{q.bits}</td><td>{q.ber.toExponential(1)}</td><td>{(q.per * 100).toFixed(0)}%</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </section>
+
+                {/* ══ RECEPTION HISTORY ══ */}
+                <section className="panel panel-history">
+                    <div className="corner-deco tl" /><div className="corner-deco tr" />
+                    <div className="corner-deco bl" /><div className="corner-deco br" />
+                    <div className="panel-title"><span className="dot" />LOG — RECEPTION HISTORY</div>
+
+                    <div className="history-bar">
+                        <input id="historySearch" type="search" placeholder="SEARCH — text, file name, type, status, date…"
+                            value={historyQuery} onChange={e => setHistoryQuery(e.target.value)} />
+                        <span className="history-count">{shownHistory.length}/{history.length}</span>
+                        <button className="clear-btn" onClick={() => exportHistory(history, 'json')} disabled={!history.length}>[ EXPORT ALL · JSON ]</button>
+                        <button className="clear-btn" onClick={() => exportHistory(history, 'zip')} disabled={!history.length}>[ EXPORT ALL · ZIP ]</button>
+                    </div>
+                    {historyNote && <div className="status warn">{historyNote}</div>}
+
+                    <div className="history-list">
+                        {shownHistory.length === 0 && <div className="history-empty">{history.length ? 'NO MATCHES' : 'NOTHING RECEIVED YET'}</div>}
+                        {shownHistory.map(e => (
+                            <div className={`history-row ${e.status === 'ok' ? 'ok' : e.status === 'locked' ? 'locked' : 'bad'}`} key={e.id}>
+                                <div className="history-meta">
+                                    <span>{new Date(e.time).toLocaleString()}</span>
+                                    <span className="history-status">{HISTORY_STATUS[e.status]}</span>
+                                    <span>{e.type || '—'} · {formatBytes(e.size)}</span>
+                                    {e.src !== undefined && <span>{addressLabel(e)}</span>}
+                                    <span className="history-config">
+                                        {e.config.symDuration} ms · MFSK-{e.config.order} · FEC {e.config.fecRate}
+                                        {e.corrected > 0 && ` · ${e.corrected} corrected`}{e.segments > 1 && ` · ${e.segments} segments`}
+                                    </span>
+                                </div>
+                                <div className="history-content">
+                                    {e.status !== 'ok' ? <span className="history-detail">{e.detail}</span>
+                                        : e.type === 'TEXT' ? e.text
+                                            : e.type === 'IMAGE' ? <img src={historyUrls.get(e.id)} alt={`received ${e.imgW}×${e.imgH} image`} />
+                                                : <a className="rx-file-link" href={historyUrls.get(e.id)} download={e.name}>⬇ {e.name} <span>{e.mime}</span></a>}
+                                </div>
+                                <div className="history-actions">
+                                    <button className="clear-btn" onClick={() => exportHistory([e], 'json')}>[ JSON ]</button>
+                                    <button className="clear-btn" onClick={() => exportHistory([e], 'zip')}>[ ZIP ]</button>
+                                    <button className="clear-btn" onClick={() => removeReception(e.id)} title="delete this entry">[ ✕ ]</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </section>
             </main>
 
             <footer className="footer">
-                ACOUST · MFSK-16 ACOUSTIC MODEM · OPEN SOURCE ·{' '}
+                ACOUST · MFSK ACOUSTIC MODEM · OPEN SOURCE ·{' '}
                 <a href="https://github.com/aldennoronha2228/acoust" target="_blank" rel="noreferrer">GITHUB</a>
             </footer>
         </>
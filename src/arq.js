@@ -0,0 +1,126 @@
+// ══════════════════════════════════════════════════════════
+// ARQ
+// Optional half-duplex reliable mode for segmented transfers.
+// The sender sends a window of segments and waits; the receiver
+// answers with an ACK frame whose payload is a bitmap of the
+// segments it holds; the sender resends only what is missing.
+// ══════════════════════════════════════════════════════════
+
+import { TYPE_ACK, FLAG_ARQ, FLAG_ACK_REQ, BROADCAST, ANY_STATION } from './packet.js'
+import { airtime, encodeFrame, segmentSize } from './modem.js'
+import { newTransferId, splitPayload } from './transfer.js'
+
+export const ARQ_WINDOW = 4           // segments sent before waiting for an acknowledgement
+export const ARQ_MAX_TRIES = 4        // sends of one segment before the transfer is given up
+export const ACK_TURNAROUND_MS = 500  // receiver's pause between the end of a window and its ACK
+const ACK_SLACK_MS = 1500             // detection latency and timer jitter on top of the ACK's airtime
+
+// Bit i (LSB first) set when segment i is held
+export function ackBitmap(transfer) {
+    const bits = new Uint8Array(Math.ceil(transfer.count / 8))
+    transfer.parts.forEach((p, i) => { if (p) bits[i >> 3] |= 1 << (i & 7) })
+    return bits
+}
+
+export function readAckBitmap(bits, count) {
+    return Array.from({ length: count }, (_, i) => !!(bits[i >> 3] & (1 << (i & 7))))
+}
+
+// ACK frame for a transfer (as held by a TransferReassembler), ready for renderFrame(), from
+// station id back to the transfer's sender on its channel
+export function encodeAck(config, transfer, id = 0) {
+    const addr = { src: id, dst: transfer.src ?? BROADCAST, channel: transfer.channel ?? 0 }
+    return encodeFrame(config, TYPE_ACK, ackBitmap(transfer), 0, 0, { transferId: transfer.id, index: 0, count: 1 }, 0, addr)
+}
+
+// How long the sender waits after a window has been played: turnaround, the ACK itself, slack
+export function ackWaitMs(config, count) {
+    return ACK_TURNAROUND_MS + airtime(config, Math.ceil(count / 8)).ms + ACK_SLACK_MS
+}
+
+// Sending side of one ARQ transfer. Drive it with a clock in ms: start(now), then
+// handleAck(hdr, payload, now) for every TYPE_ACK packet heard and tick(now) every so often.
+// send(frames) plays encodeFrame() results back to back (see renderTransfer()) and returns
+// their airtime in ms. segmentBytes defaults to segmentSize(config); smaller segments cost
+// more headers but less airtime per retransmission; flags (e.g. FLAG_COMPRESSED) and addr
+// ({ src, dst, channel }) go into every segment's header. Only ACKs sent to addr.src count, and
+// only from addr.dst unless that is BROADCAST (then any station's ACK does; with several
+// listeners their ACKs collide, so reliable transfers are best addressed). When no ACK comes
+// (the window's last segment, which asks for it, or the ACK itself was lost) the whole window
+// is sent again.
+// onEvent reports
+//   { type: 'window', segments, round }         segment indices just sent
+//   { type: 'ack', acked, missing }             an ACK arrived; counts of held / missing segments
+//   { type: 'timeout', round }                  no ACK in time; the window is resent
+//   { type: 'done' }                            every segment acknowledged
+//   { type: 'failed', missing }                 a segment used up its tries; indices still missing
+export class ArqSender {
+    constructor({ config, type, payload, imgW = 0, imgH = 0, flags = 0, addr = ANY_STATION, transferId = newTransferId(),
+        segmentBytes = segmentSize(config), window = ARQ_WINDOW, maxTries = ARQ_MAX_TRIES, send, onEvent }) {
+        this.config = config
+        this.type = type; this.imgW = imgW; this.imgH = imgH; this.flags = flags; this.addr = addr
+        this.transferId = transferId
+        this.parts = splitPayload(payload, segmentBytes)
+        this.acked = this.parts.map(() => false)
+        this.tries = this.parts.map(() => 0)
+        this.window = window
+        this.maxTries = maxTries
+        this.send = send
+        this.onEvent = onEvent
+        this.state = 'idle'      // 'waiting' for an ACK, then 'done' or 'failed'
+        this.round = 0
+        this.deadline = Infinity
+    }
+
+    get count() {
+        return this.parts.length
+    }
+
+    missing() {
+        return this.acked.flatMap((a, i) => a ? [] : [i])
+    }
+
+    start(now) {
+        this.sendWindow(now)
+    }
+
+    // The first unacknowledged segments, the last of them asking for the ACK
+    sendWindow(now) {
+        const pending = this.missing()
+        if (pending.length === 0) {
+            this.state = 'done'; this.deadline = Infinity
+            this.onEvent({ type: 'done' }); return
+        }
+        const segments = pending.slice(0, this.window)
+        if (segments.some(i => this.tries[i] >= this.maxTries)) {
+            this.state = 'failed'; this.deadline = Infinity
+            this.onEvent({ type: 'failed', missing: pending }); return
+        }
+        const count = this.count
+        const frames = segments.map((index, k) => {
+            this.tries[index]++
+            const flags = this.flags | FLAG_ARQ | (k === segments.length - 1 ? FLAG_ACK_REQ : 0)
+            return encodeFrame(this.config, this.type, this.parts[index], this.imgW, this.imgH, { transferId: this.transferId, index, count }, flags, this.addr)
+        })
+        this.round++
+        this.onEvent({ type: 'window', segments, round: this.round })
+        const ms = this.send(frames)
+        this.state = 'waiting'
+        this.deadline = now + ms + ackWaitMs(this.config, count)
+    }
+
+    handleAck(hdr, payload, now) {
+        if (this.state !== 'waiting' || hdr.type !== TYPE_ACK || hdr.transferId !== this.transferId) return
+        if (hdr.dst !== this.addr.src || (this.addr.dst !== BROADCAST && hdr.src !== this.addr.dst)) return
+        readAckBitmap(payload, this.count).forEach((held, i) => { if (held) this.acked[i] = true })
+        const missing = this.missing().length
+        this.onEvent({ type: 'ack', acked: this.count - missing, missing })
+        this.sendWindow(now)
+    }
+
+    tick(now) {
+        if (this.state !== 'waiting' || now < this.deadline) return
+        this.onEvent({ type: 'timeout', round: this.round })
+        this.sendWindow(now)
+    }
+}
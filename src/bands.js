@@ -0,0 +1,77 @@
+// ══════════════════════════════════════════════════════════
+// BAND PLANS
+// Frequency-division sharing of one room: a plan splits the
+// audio range into non-overlapping sub-bands, each with its own
+// data ladder and preamble pair, so several links can be on the
+// air at once and one receiver can decode all of them.
+// ══════════════════════════════════════════════════════════
+
+import { MAX_TONE_FRAC } from './modem.js'
+
+export const BAND_ORDER = 16   // every sub-band is sized for an MFSK-16 ladder (MFSK-8 uses its first half)
+// Room kept between a near-ultrasonic band's top tone and Nyquist, beyond MAX_TONE_FRAC: sound
+// cards' anti-alias filters and small speakers already roll off there. Leaves 44.1 kHz and up.
+export const ULTRASONIC_GUARD_HZ = 2500
+
+// A sub-band laid out like the full band: BAND_ORDER tones from lo at spacing, the preamble tones
+// two and four spacings above the top one, and a chirp from the bottom tone up to B. (From 1000 Hz
+// at 200 Hz this is the full band's own layout: 1000–4000 Hz, then 4400 / 4800 Hz.) guardHz is
+// kept free between B and Nyquist.
+export function subBand(lo, spacing, guardHz = 0) {
+    const top = lo + (BAND_ORDER - 1) * spacing
+    const preambleFreqs = [top + 2 * spacing, top + 4 * spacing]
+    return {
+        id: `${lo}`, label: `${(lo / 1000).toFixed(2)}–${(preambleFreqs[1] / 1000).toFixed(2)} kHz`,
+        baseFreq: lo, freqSpacing: spacing, maxOrder: BAND_ORDER, preambleFreqs, guardHz,
+        chirp: { f0: lo, f1: preambleFreqs[1] }
+    }
+}
+
+// 'full' is no plan at all: one link on the config's own ladder and the default preamble.
+// Narrower bands need narrower spacing; at 75 Hz keep symbols at 40 ms or more so neighbouring
+// tones stay apart.
+const NEAR_ULTRASONIC = subBand(17000, 125, ULTRASONIC_GUARD_HZ)   // 17.0–19.4 kHz: inaudible to most adults
+export const BAND_PLANS = [
+    { id: 'full', label: 'FULL BAND · 1 LINK', bands: null },
+    { id: 'split2', label: '1–8 kHz · 2 BANDS', bands: [subBand(1000, 150), subBand(4500, 150)] },
+    { id: 'split4', label: '1–8 kHz · 4 BANDS', bands: [1000, 2750, 4500, 6250].map(lo => subBand(lo, 75)) },
+    { id: 'split2-us', label: '1–8 kHz · 2 BANDS + 17 kHz', bands: [subBand(1000, 150), subBand(4500, 150), NEAR_ULTRASONIC] },
+]
+
+// Profiles: AUDIBLE uses whichever band plan is picked; QUIET is one link with its preamble and a
+// narrower ladder all in the near-ultrasonic band, for offices
+export const PROFILES = [
+    { id: 'audible', label: 'AUDIBLE', plan: null },
+    { id: 'quiet', label: 'QUIET · 17–20 kHz', plan: { id: 'quiet', label: 'QUIET · 17–20 kHz · 1 LINK', bands: [NEAR_ULTRASONIC] } },
+]
+
+export function bandPlan(id) {
+    return BAND_PLANS.find(p => p.id === id) ?? BAND_PLANS[0]
+}
+
+// The plan in force: the profile's own, else the one picked
+export function profilePlan(profileId, planId) {
+    return PROFILES.find(p => p.id === profileId)?.plan ?? bandPlan(planId)
+}
+
+// The config for one sub-band: its ladder, preamble, chirp and guard, with the order capped at
+// the band's. A null band leaves the config as it is.
+export function bandConfig(config, band) {
+    if (!band) return config
+    return {
+        ...config, band: band.id, baseFreq: band.baseFreq, freqSpacing: band.freqSpacing,
+        order: Math.min(config.order, band.maxOrder), maxOrder: band.maxOrder, guardHz: band.guardHz,
+        preambleFreqs: band.preambleFreqs, chirp: band.chirp
+    }
+}
+
+// Lowest sample rate (Hz) at which every tone of the band stays under MAX_TONE_FRAC of it, with
+// the band's guard to spare below Nyquist: where configFits() in modem.js starts to pass
+export function minSampleRate(band) {
+    const top = band.preambleFreqs[1]
+    return Math.floor(Math.max(top / MAX_TONE_FRAC, 2 * (top + band.guardHz))) + 1
+}
+
+export function bandFits(band, sampleRate) {
+    return sampleRate >= minSampleRate(band)
+}
@@ -0,0 +1,71 @@
+// ══════════════════════════════════════════════════════════
+// SYMBOL PACKING
+// Bytes ↔ M-ary symbols for the selectable MFSK orders, plus the
+// fixed-order mode header that tells the receiver which one follows.
+// ══════════════════════════════════════════════════════════
+
+// Modulation orders offered by the UI. An order-M ladder is the first M tones of the
+// configured base + i × spacing series, so every ladder contains the smaller ones.
+export const MFSK_ORDERS = [
+    { order: 8, bits: 3, label: 'MFSK-8' },
+    { order: 16, bits: 4, label: 'MFSK-16' },
+    { order: 32, bits: 5, label: 'MFSK-32' },
+    { order: 64, bits: 6, label: 'MFSK-64' },
+]
+
+// The mode header is always MFSK-8 on the lowest eight tones: the order's index in
+// MFSK_ORDERS, then its complement, so both symbols vote on the same answer.
+export const MODE_ORDER = 8
+export const MODE_SYMS = 2
+
+export function modeSymbols(order) {
+    const code = MFSK_ORDERS.findIndex(o => o.order === order)
+    return [code, MODE_ORDER - 1 - code]
+}
+
+// Picks the order whose two mode symbols collected the most energy. amps are the first
+// MODE_ORDER tone amplitudes of each header window; orders above maxOrder are not considered.
+export function decodeMode(amps0, amps1, maxOrder) {
+    const peak0 = Math.max(...amps0) || 1, peak1 = Math.max(...amps1) || 1
+    let best = MFSK_ORDERS[0], bestScore = -1
+    MFSK_ORDERS.forEach((o, code) => {
+        if (o.order > maxOrder) return
+        const score = amps0[code] / peak0 + amps1[MODE_ORDER - 1 - code] / peak1
+        if (score > bestScore) { best = o; bestScore = score }
+    })
+    return best
+}
+
+export function symbolCount(byteLen, bits) {
+    return Math.ceil(byteLen * 8 / bits)
+}
+
+// MSB-first bit stream cut into bits-wide symbols; the last symbol is zero-padded.
+export function packBits(bytes, bits) {
+    const out = new Array(symbolCount(bytes.length, bits))
+    let acc = 0, have = 0, n = 0
+    for (const b of bytes) {
+        acc = (acc << 8) | b; have += 8
+        while (have >= bits) { have -= bits; out[n++] = (acc >> have) & ((1 << bits) - 1) }
+        acc &= (1 << have) - 1
+    }
+    if (have > 0) out[n] = (acc << (bits - have)) & ((1 << bits) - 1)
+    return out
+}
+
+// Inverse of packBits; trailing bits that do not fill a byte are dropped.
+export function unpackBits(symbols, bits) {
+    const out = new Uint8Array(Math.floor(symbols.length * bits / 8))
+    let acc = 0, have = 0, n = 0
+    for (const s of symbols) {
+        acc = (acc << bits) | (s & ((1 << bits) - 1)); have += bits
+        if (have >= 8 && n < out.length) { have -= 8; out[n++] = (acc >> have) & 0xff }
+        acc &= (1 << have) - 1
+    }
+    return out
+}
+
+// Symbol indices that carry bits of byte i.
+export function byteSymbols(i, bits) {
+    return [Math.floor(8 * i / bits), Math.floor((8 * i + 7) / bits)]
+}
@@ -0,0 +1,109 @@
+// ══════════════════════════════════════════════════════════
+// CARRIER SENSE
+// Listen-before-talk: the receiver's spectrum is watched for
+// energy in the data band and on the preamble tones, and a
+// transmission waits, with random backoff, until the channel
+// has been quiet long enough not to trample another station.
+// ══════════════════════════════════════════════════════════
+
+import { SEGMENT_GAP_MS, toneLadder, rxLadderOrder, preambleTones } from './modem.js'
+import { ACK_TURNAROUND_MS } from './arq.js'
+import { LEGACY_PREAMBLE_FREQ } from './legacy.js'
+
+// Quiet needed before sending: longer than the gap between two segments of a transfer and the
+// pause before an ARQ ACK, so neither is mistaken for a free channel
+export const LBT_QUIET_MS = Math.max(SEGMENT_GAP_MS, ACK_TURNAROUND_MS) + 200
+export const LBT_SLOT_MS = 100         // backoff unit
+export const LBT_MAX_SLOTS = 32        // backoff window doubles per busy spell, up to this many slots
+export const LBT_TIMEOUT_MS = 60000    // a wait is given up after this long
+const TONE_HALF_WIDTH_HZ = 60          // band watched either side of a preamble tone
+const FLOOR_WARMUP = 15                // spectra averaged into the floor before anything counts as busy
+const FLOOR_ALPHA = 0.05               // per spectrum, for quiet bands
+const FLOOR_CREEP_DB_S = 0.5           // a busy band still raises its floor this fast, so new steady noise is learned
+
+// Frequency bands { lo, hi } (Hz) carrying our traffic: the widest data ladder the receiver
+// listens for (half a spacing either side) and each preamble tone. On a sub-band of a band
+// plan only that sub-band counts; links on the others do not hold up ours.
+export function senseBands(config, sampleRate) {
+    const ladder = toneLadder(config, rxLadderOrder(config, sampleRate))
+    const half = config.freqSpacing / 2
+    const tones = [...preambleTones(config), ...(config.band ? [] : [LEGACY_PREAMBLE_FREQ])]
+    return [
+        { lo: ladder[0] - half, hi: ladder[ladder.length - 1] + half },
+        ...tones.map(f => ({ lo: f - TONE_HALF_WIDTH_HZ, hi: f + TONE_HALF_WIDTH_HZ }))
+    ]
+}
+
+// Feed update() every analyser spectrum (dB per bin, as from getFloatFrequencyData()). Each
+// band's loudest bin is compared with a floor learned the way the demodulator learns its own:
+// quiet spectra pull the floor towards them, loud ones only let it creep up. A band more than
+// marginDb above its floor makes the channel busy; lastBusy is the time (ms) that was last seen.
+export class CarrierSense {
+    constructor(bands, marginDb) {
+        this.bands = bands
+        this.marginDb = marginDb
+        this.floorDb = new Float64Array(bands.length)
+        this.count = 0
+        this.lastTime = null
+        this.lastBusy = -Infinity
+        this.busy = false
+    }
+
+    update(spectrumDb, binHz, now) {
+        const dt = this.lastTime === null ? 0 : (now - this.lastTime) / 1000
+        this.lastTime = now
+        const levels = this.bands.map(({ lo, hi }) => {
+            let peak = -Infinity
+            const end = Math.min(spectrumDb.length - 1, Math.ceil(hi / binHz))
+            for (let i = Math.max(0, Math.floor(lo / binHz)); i <= end; i++) peak = Math.max(peak, spectrumDb[i])
+            return Math.max(peak, -160)   // digital silence reads as −Infinity
+        })
+        const floor = this.floorDb
+        if (this.count < FLOOR_WARMUP) {
+            const k = this.count++
+            levels.forEach((db, i) => { floor[i] = (floor[i] * k + db) / (k + 1) })
+            return this.busy = false
+        }
+        this.busy = false
+        levels.forEach((db, i) => {
+            const above = db - floor[i]
+            if (above > this.marginDb) this.busy = true
+            floor[i] += above < this.marginDb ? FLOOR_ALPHA * above : FLOOR_CREEP_DB_S * dt
+        })
+        if (this.busy) this.lastBusy = now
+        return this.busy
+    }
+}
+
+// One transmission's wait for the channel. check(now) says 'clear' once the channel has been
+// quiet for LBT_QUIET_MS plus a random number of backoff slots, 'busy' until then, or
+// 'timeout' after timeoutMs. Every new busy spell redraws the backoff from a doubled window,
+// so stations that queued up behind the same transmission spread out instead of colliding.
+export class ChannelWait {
+    constructor(sense, now, { rand = Math.random, timeoutMs = LBT_TIMEOUT_MS } = {}) {
+        this.sense = sense
+        this.start = now
+        this.rand = rand
+        this.timeoutMs = timeoutMs
+        this.slots = 1
+        this.seenBusy = sense.lastBusy
+        this.backoffMs = this.drawBackoff()
+    }
+
+    drawBackoff() {
+        return LBT_QUIET_MS + Math.floor(this.rand() * (this.slots + 1)) * LBT_SLOT_MS
+    }
+
+    check(now) {
+        if (this.sense.lastBusy !== this.seenBusy) {
+            // Still the same busy spell while it keeps being heard; a new one once it had gone quiet
+            if (this.sense.lastBusy - this.seenBusy > LBT_QUIET_MS) {
+                this.slots = Math.min(LBT_MAX_SLOTS, this.slots * 2)
+                this.backoffMs = this.drawBackoff()
+            }
+            this.seenBusy = this.sense.lastBusy
+        }
+        if (now - this.sense.lastBusy >= this.backoffMs) return 'clear'
+        return now - this.start >= this.timeoutMs ? 'timeout' : 'busy'
+    }
+}
@@ -0,0 +1,21 @@
+// AudioWorklet wrapper around ChannelNoise: the loopback signal in, the same signal with
+// dropouts and noise out. Parameter objects posted to the port take effect at once.
+import { ChannelNoise } from './channel.js'
+
+class AcoustChannelProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super()
+        this.channel = new ChannelNoise(options.processorOptions.params, sampleRate, options.processorOptions.seed)
+        this.port.onmessage = ({ data }) => this.channel.setParams(data)
+    }
+
+    process(inputs, outputs) {
+        const inp = inputs[0] && inputs[0][0], out = outputs[0][0]
+        if (inp) out.set(inp)
+        else out.fill(0)
+        this.channel.process(out)
+        return true
+    }
+}
+
+registerProcessor('acoust-channel', AcoustChannelProcessor)
@@ -0,0 +1,195 @@
+// ══════════════════════════════════════════════════════════
+// CHANNEL SIMULATOR
+// Framework-free model of the acoustic path between TX and RX:
+// sender clock drift and frequency offset, room reverb from a
+// synthetic impulse response, dropouts, white and pink noise.
+// ══════════════════════════════════════════════════════════
+
+import { fft, nextPow2 } from './fft.js'
+
+// Every impairment, with the range the UI offers. Levels are RMS dBFS (the data tones sit
+// around −10 dBFS); reverbDb is the energy of the reverberant tail relative to the direct path.
+export const CHANNEL_PARAMS = [
+    { id: 'whiteDb', label: 'WHITE NOISE', unit: 'dBFS', min: -100, max: 0, step: 1, initial: -60 },
+    { id: 'pinkDb', label: 'PINK NOISE', unit: 'dBFS', min: -100, max: 0, step: 1, initial: -100 },
+    { id: 'reverbMs', label: 'REVERB RT60', unit: 'ms', min: 0, max: 2000, step: 50, initial: 0 },
+    { id: 'reverbDb', label: 'REVERB LEVEL', unit: 'dB', min: -40, max: 10, step: 1, initial: -10 },
+    { id: 'offsetHz', label: 'FREQ OFFSET', unit: 'Hz', min: -100, max: 100, step: 1, initial: 0 },
+    { id: 'driftPpm', label: 'CLOCK DRIFT', unit: 'ppm', min: -2000, max: 2000, step: 50, initial: 0 },
+    { id: 'dropoutsPerMin', label: 'DROPOUTS', unit: '/min', min: 0, max: 120, step: 1, initial: 0 },
+    { id: 'dropoutMs', label: 'DROPOUT LENGTH', unit: 'ms', min: 5, max: 1000, step: 5, initial: 60 },
+]
+
+export const CHANNEL_DEFAULTS = Object.fromEntries(CHANNEL_PARAMS.map(p => [p.id, p.initial]))
+
+const HILBERT_HALF = 127       // taps either side of the Hilbert transformer's centre
+const REVERB_PREDELAY_MS = 3   // direct path to first reflection
+const DROPOUT_RAMP_MS = 2      // fade into and out of a dropout
+const PINK_NORM = 0.33         // brings the pink filter's output back to unit RMS
+
+// Seeded uniform [0, 1) generator (mulberry32), so a simulated channel can be replayed exactly
+export function rng(seed) {
+    let a = seed >>> 0
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0
+        let t = Math.imul(a ^ (a >>> 15), a | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+// Unit-variance Gaussian samples from a uniform generator (Box–Muller, both outputs used)
+function normal(rand) {
+    let spare = null
+    return () => {
+        if (spare !== null) { const v = spare; spare = null; return v }
+        const r = Math.sqrt(-2 * Math.log(1 - rand())), a = 2 * Math.PI * rand()
+        spare = r * Math.sin(a)
+        return r * Math.cos(a)
+    }
+}
+
+// ── Sender side ──
+// A sender clock ratio× too fast plays the same samples in 1/ratio of the time: every tone
+// comes out ratio× higher and every symbol ratio× shorter. Cubic (Catmull-Rom) interpolation.
+export function resample(pcm, ratio) {
+    const out = new Float32Array(Math.floor((pcm.length - 1) / ratio))
+    const at = i => pcm[Math.min(pcm.length - 1, Math.max(0, i))]
+    for (let n = 0; n < out.length; n++) {
+        const t = n * ratio, i = Math.floor(t), f = t - i
+        const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2)
+        out[n] = p1 + 0.5 * f * (p2 - p0 + f * (2 * p0 - 5 * p1 + 4 * p2 - p3 + f * (3 * (p1 - p2) + p3 - p0)))
+    }
+    return out
+}
+
+// Blackman-windowed Hilbert transformer: 2/(πk) at odd offsets k, zero at even ones
+const HILBERT = (() => {
+    const h = new Float64Array(HILBERT_HALF + 1), M = HILBERT_HALF + 1
+    for (let k = 1; k <= HILBERT_HALF; k += 2) {
+        const w = 0.42 + 0.5 * Math.cos(Math.PI * k / M) + 0.08 * Math.cos(2 * Math.PI * k / M)
+        h[k] = 2 / (Math.PI * k) * w
+    }
+    return h
+})()
+
+// Moves every component up by hz (down for negative hz), unlike a clock error, which scales
+// them: single-sideband mixing of the analytic signal, Re{(x + jH{x}) · e^{jωn}}.
+export function shiftFrequency(pcm, hz, sampleRate) {
+    const out = new Float32Array(pcm.length), w = 2 * Math.PI * hz / sampleRate, len = pcm.length
+    for (let n = 0; n < len; n++) {
+        let q = 0
+        for (let k = 1; k <= HILBERT_HALF; k += 2) {
+            q += HILBERT[k] * ((n - k >= 0 ? pcm[n - k] : 0) - (n + k < len ? pcm[n + k] : 0))
+        }
+        out[n] = pcm[n] * Math.cos(w * n) - q * Math.sin(w * n)
+    }
+    return out
+}
+
+// Clock drift (ppm, positive = sender fast) and frequency offset, as the transmitter would
+// have produced them. Always returns a new buffer.
+export function impairTransmission(pcm, sampleRate, { driftPpm, offsetHz }) {
+    let out = driftPpm ? resample(pcm, 1 + driftPpm * 1e-6) : Float32Array.from(pcm)
+    if (offsetHz) out = shiftFrequency(out, offsetHz, sampleRate)
+    return out
+}
+
+// ── Room ──
+// Direct path (1 at t = 0), then after a short pre-delay an exponentially decaying noise
+// tail that falls 60 dB over rt60Ms and carries levelDb of energy relative to the direct path.
+export function roomImpulse(sampleRate, rt60Ms, levelDb, seed = 1) {
+    const pre = Math.round(REVERB_PREDELAY_MS * sampleRate / 1000)
+    const tail = Math.round(rt60Ms * sampleRate / 1000)
+    const ir = new Float32Array(tail > 0 ? pre + tail : 1)
+    ir[0] = 1
+    if (tail <= 0) return ir
+    const gauss = normal(rng(seed)), decay = Math.log(1000) / tail
+    let energy = 0
+    for (let n = 0; n < tail; n++) {
+        ir[pre + n] = gauss() * Math.exp(-decay * n)
+        energy += ir[pre + n] ** 2
+    }
+    const g = Math.sqrt(10 ** (levelDb / 10) / energy)
+    for (let n = pre; n < ir.length; n++) ir[n] *= g
+    return ir
+}
+
+// FFT overlap-add convolution; the output keeps the input's length (the tail is cut).
+export function convolve(pcm, ir) {
+    const N = nextPow2(Math.max(256, 2 * ir.length)), B = N - ir.length + 1
+    const hRe = new Float64Array(N), hIm = new Float64Array(N)
+    hRe.set(ir); fft(hRe, hIm)
+    const re = new Float64Array(N), im = new Float64Array(N)
+    const out = new Float32Array(pcm.length)
+    for (let start = 0; start < pcm.length; start += B) {
+        re.fill(0); im.fill(0)
+        for (let i = start; i < Math.min(pcm.length, start + B); i++) re[i - start] = pcm[i]
+        fft(re, im)
+        for (let k = 0; k < N; k++) {
+            const r = re[k] * hRe[k] - im[k] * hIm[k]
+            im[k] = re[k] * hIm[k] + im[k] * hRe[k]; re[k] = r
+        }
+        fft(re, im, true)
+        for (let i = 0; i < N && start + i < out.length; i++) out[start + i] += re[i]
+    }
+    return out
+}
+
+// ── Receiver side ──
+// Streaming part of the channel: dropouts (Poisson-timed mutes of the signal) and additive
+// white + pink noise, which keeps running while nothing is transmitted. process() works in
+// place on blocks of any size, so the same object serves the AudioWorklet and offline runs.
+export class ChannelNoise {
+    constructor(params, sampleRate, seed = 1) {
+        this.sampleRate = sampleRate
+        this.rand = rng(seed)
+        this.gauss = normal(this.rand)
+        this.pink = new Float64Array(7)
+        this.gain = 1
+        this.dropLeft = 0
+        this.setParams(params)
+    }
+
+    setParams({ whiteDb, pinkDb, dropoutsPerMin, dropoutMs }) {
+        this.white = 10 ** (whiteDb / 20)
+        this.pinkLevel = 10 ** (pinkDb / 20) * PINK_NORM
+        this.dropRate = dropoutsPerMin / 60 / this.sampleRate   // per sample
+        this.dropLen = Math.round(dropoutMs * this.sampleRate / 1000)
+        this.ramp = 1 / Math.max(1, Math.round(DROPOUT_RAMP_MS * this.sampleRate / 1000))
+        this.untilDrop = this.nextGap()
+    }
+
+    nextGap() {
+        return this.dropRate > 0 ? -Math.log(1 - this.rand()) / this.dropRate : Infinity
+    }
+
+    // Paul Kellet's pink filter on one white sample
+    pinkStep(w) {
+        const b = this.pink
+        b[0] = 0.99886 * b[0] + w * 0.0555179; b[1] = 0.99332 * b[1] + w * 0.0750759
+        b[2] = 0.96900 * b[2] + w * 0.1538520; b[3] = 0.86650 * b[3] + w * 0.3104856
+        b[4] = 0.55000 * b[4] + w * 0.5329522; b[5] = -0.7616 * b[5] - w * 0.0168980
+        const p = b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + w * 0.5362
+        b[6] = w * 0.115926
+        return p
+    }
+
+    process(buf) {
+        for (let i = 0; i < buf.length; i++) {
+            if (this.dropLeft > 0) this.dropLeft--
+            else if (--this.untilDrop <= 0) { this.dropLeft = this.dropLen; this.untilDrop = this.nextGap() }
+            const target = this.dropLeft > 0 ? 0 : 1
+            this.gain += Math.max(-this.ramp, Math.min(this.ramp, target - this.gain))
+            buf[i] = buf[i] * this.gain + this.white * this.gauss() + this.pinkLevel * this.pinkStep(this.gauss())
+        }
+        return buf
+    }
+}
+
+// Whole channel over a recorded transmission: sender impairments, room, then dropouts and noise.
+export function simulateChannel(pcm, sampleRate, params, seed = 1) {
+    let out = impairTransmission(pcm, sampleRate, params)
+    if (params.reverbMs > 0) out = convolve(out, roomImpulse(sampleRate, params.reverbMs, params.reverbDb, seed))
+    return new ChannelNoise(params, sampleRate, seed + 1).process(out)
+}
@@ -0,0 +1,151 @@
+// ══════════════════════════════════════════════════════════
+// PAYLOAD COMPRESSION
+// LZ77 over a window primed with a preset dictionary of common
+// English, so even a one-line message finds matches. Used only
+// when it makes the payload smaller (see packPayload()).
+// ══════════════════════════════════════════════════════════
+
+import { FLAG_COMPRESSED } from './packet.js'
+
+// Format: raw length (LEB128), then a bit stream, MSB first, of tokens:
+//   0 + 8 bits                                  one literal byte
+//   1 + (distance − 1) in 12 bits + γ(len − 2)   copy len (3–258) bytes from distance back
+// Distances reach back into the dictionary; γ is Elias gamma, so a 3-byte match costs 14 bits.
+const DIST_BITS = 12
+const WINDOW = 1 << DIST_BITS
+const MIN_MATCH = 3
+const MAX_MATCH = 258
+const MAX_CHAIN = 64          // match candidates tried per position
+const MAX_RAW = 1 << 24       // longest payload decompress() accepts
+
+// Frequent words and fragments of short messages; the most common sit last, nearest the data
+const DICTIONARY = new TextEncoder().encode(
+    'https://www.http://.com.org.net.html.json.txt.pdf.jpg.png{"":"","[]</>\r\n\t' +
+    '0123456789 00 000 1 2 3 4 5 10 20 30 50 100 2024 2025 2026 am pm km Hz dB ' +
+    'January February March April May June July August September October November December ' +
+    'Monday Tuesday Wednesday Thursday Friday Saturday Sunday today tomorrow yesterday morning evening night ' +
+    'North South East West north south east west left right up down here there where position location ' +
+    'signal station receive received sending sent transmit message test testing check over out copy roger ' +
+    'battery power water food help emergency safe ok OK okay yes no Yes No please Please thanks Thanks thank ' +
+    'Hello hello Hi hi Hey hey Dear dear Best regards see you soon later call back when what which who why how ' +
+    'The This That There They These Those What When Where Which Who Why How Can Could Would Should Will ' +
+    'I am I\'m I\'ll I\'ve you\'re we\'re it\'s don\'t can\'t won\'t didn\'t isn\'t doesn\'t ' +
+    'about after again also always another because been before being between both came come could day did ' +
+    'does doing done each even every first from get give going good great had has have her him his home into ' +
+    'just know last like little long look made make many more most much must need never new now number off ' +
+    'old only other our people place put read right said same say should show since some still such take ' +
+    'than their them then thing think those through time too under until upon very want was way well went ' +
+    'were while will with without work world would year your ' +
+    'ation ment ness able ight ould ough tion sion ing ed er ly es s. s, ' +
+    ' it is it was  is a  in the  on the  to the  of the  and the  for the  at the  with  that  this ' +
+    ' you  are  not  but  have  from  will  all  can  be  as  by  or  an  so  if  my  me  we  he  she ' +
+    ' a  I  in  on  at  to  of  is  it  and  the . , ? ! '
+)
+
+const hash3 = (buf, i) => Math.imul((buf[i] << 16) | (buf[i + 1] << 8) | buf[i + 2], 2654435761) >>> 20
+
+function writeVarint(out, n) {
+    while (n >= 0x80) { out.push((n & 0x7f) | 0x80); n >>>= 7 }
+    out.push(n)
+}
+
+export function compress(bytes) {
+    const buf = new Uint8Array(DICTIONARY.length + bytes.length)
+    buf.set(DICTIONARY); buf.set(bytes, DICTIONARY.length)
+    const head = new Int32Array(1 << 12).fill(-1)
+    const prev = new Int32Array(buf.length)
+    const insert = i => { if (i + 2 < buf.length) { const h = hash3(buf, i); prev[i] = head[h]; head[h] = i } }
+    for (let i = 0; i < DICTIONARY.length; i++) insert(i)
+
+    const out = []
+    writeVarint(out, bytes.length)
+    let acc = 0, nbits = 0
+    const put = (v, n) => {
+        for (let b = n - 1; b >= 0; b--) {
+            acc = (acc << 1) | ((v >>> b) & 1)
+            if (++nbits === 8) { out.push(acc); acc = 0; nbits = 0 }
+        }
+    }
+    const gamma = v => { const n = 32 - Math.clz32(v); put(0, n - 1); put(v, n) }
+
+    for (let i = DICTIONARY.length; i < buf.length;) {
+        let bestLen = 0, bestDist = 0
+        if (i + MIN_MATCH <= buf.length) {
+            const max = Math.min(MAX_MATCH, buf.length - i)
+            for (let j = head[hash3(buf, i)], tries = 0; j >= 0 && i - j <= WINDOW && tries < MAX_CHAIN; j = prev[j], tries++) {
+                let len = 0
+                while (len < max && buf[j + len] === buf[i + len]) len++
+                if (len > bestLen) { bestLen = len; bestDist = i - j; if (len === max) break }
+            }
+        }
+        if (bestLen >= MIN_MATCH) {
+            put(1, 1); put(bestDist - 1, DIST_BITS); gamma(bestLen - 2)
+            for (let k = 0; k < bestLen; k++) insert(i + k)
+            i += bestLen
+        } else {
+            put(0, 1); put(buf[i], 8)
+            insert(i++)
+        }
+    }
+    if (nbits) out.push(acc << (8 - nbits))
+    return Uint8Array.from(out)
+}
+
+// Inverse of compress(), or null when the stream is malformed. With low (a per-byte
+// low-confidence array of the compressed bytes) it returns { bytes, low } instead, low now
+// marking every output byte that came from a doubtful token or was copied from one.
+export function decompress(data, low = null) {
+    let length = 0, off = 0
+    for (let shift = 0; ; shift += 7) {
+        if (off >= data.length || shift > 28) return null
+        const b = data[off++]
+        length += (b & 0x7f) * 2 ** shift
+        if (!(b & 0x80)) break
+    }
+    if (length > MAX_RAW) return null
+
+    const out = new Uint8Array(length), lowOut = low && Array(length).fill(false)
+    const base = DICTIONARY.length
+    let pos = off * 8
+    const get = n => {
+        if (pos + n > data.length * 8) throw RangeError('compressed stream ends early')
+        let v = 0
+        for (let k = 0; k < n; k++, pos++) v = (v << 1) | ((data[pos >> 3] >> (7 - (pos & 7))) & 1)
+        return v
+    }
+    const tokenLow = start => {
+        for (let b = start >> 3; b <= (pos - 1) >> 3; b++) if (low[b]) return true
+        return false
+    }
+    try {
+        for (let n = 0; n < length;) {
+            const start = pos
+            if (!get(1)) {
+                out[n] = get(8)
+                if (low) lowOut[n] = tokenLow(start)
+                n++
+                continue
+            }
+            const dist = get(DIST_BITS) + 1
+            let zeros = 0
+            while (!get(1)) if (++zeros > 8) return null
+            const len = ((1 << zeros) | get(zeros)) + 2
+            if (dist > base + n || n + len > length) return null
+            const doubt = low && tokenLow(start)
+            for (let k = 0; k < len; k++, n++) {
+                const src = base + n - dist
+                out[n] = src < base ? DICTIONARY[src] : out[src - base]
+                if (low) lowOut[n] = doubt || (src >= base && lowOut[src - base])
+            }
+        }
+    } catch {
+        return null
+    }
+    return low ? { bytes: out, low: lowOut } : out
+}
+
+// The payload to send and the header flags that go with it: compressed only when smaller
+export function packPayload(bytes) {
+    const packed = compress(bytes)
+    return packed.length < bytes.length ? { payload: packed, flags: FLAG_COMPRESSED } : { payload: bytes, flags: 0 }
+}
@@ -0,0 +1,50 @@
+// ══════════════════════════════════════════════════════════
+// PAYLOAD ENCRYPTION
+// Optional end-to-end sealing with a shared passphrase: a key
+// from PBKDF2 over a random salt, the payload under AES-GCM.
+// Sound is a broadcast medium; without the passphrase a
+// listener hears only that an encrypted packet went by.
+// ══════════════════════════════════════════════════════════
+
+// A sealed payload (header flag FLAG_ENCRYPTED) starts with an extended header, then the
+// ciphertext with its 16-byte tag:
+//   salt (16 B) · nonce (12 B) · AES-GCM(payload) · tag (16 B)
+// The packet type is bound in as associated data, so a sealed text cannot pass as a file.
+const SALT_LEN = 16
+const NONCE_LEN = 12
+const TAG_LEN = 16
+export const SEAL_HEADER_LEN = SALT_LEN + NONCE_LEN
+export const SEAL_OVERHEAD = SEAL_HEADER_LEN + TAG_LEN
+const PBKDF2_ITERATIONS = 150000
+
+async function deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+}
+
+export async function encryptPayload(passphrase, payload, type) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LEN))
+    const nonce = crypto.getRandomValues(new Uint8Array(NONCE_LEN))
+    const key = await deriveKey(passphrase, salt)
+    const sealed = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: nonce, additionalData: Uint8Array.of(type), tagLength: TAG_LEN * 8 }, key, payload))
+    const out = new Uint8Array(SEAL_HEADER_LEN + sealed.length)
+    out.set(salt); out.set(nonce, SALT_LEN); out.set(sealed, SEAL_HEADER_LEN)
+    return out
+}
+
+// The original payload, or null when the passphrase is wrong or the data was altered
+// (GCM cannot tell the two apart)
+export async function decryptPayload(passphrase, data, type) {
+    if (!passphrase || data.length < SEAL_OVERHEAD) return null
+    const salt = data.subarray(0, SALT_LEN), nonce = data.subarray(SALT_LEN, SEAL_HEADER_LEN)
+    try {
+        const key = await deriveKey(passphrase, salt)
+        return new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: nonce, additionalData: Uint8Array.of(type), tagLength: TAG_LEN * 8 }, key, data.subarray(SEAL_HEADER_LEN)))
+    } catch {
+        return null
+    }
+}
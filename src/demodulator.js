@@ -0,0 +1,566 @@
+// ══════════════════════════════════════════════════════════
+// DEMODULATOR
+// Framework-free MFSK receiver working on raw PCM. Runs inside the
+// AudioWorklet (see rx-worklet.js) and reports decisions through onEvent.
+// ══════════════════════════════════════════════════════════
+
+import { fft, nextPow2 } from './fft.js'
+import { MODE_ORDER, MODE_SYMS, decodeMode } from './bitpack.js'
+
+export const RX_IDLE = 0, RX_SYNC = 1, RX_DATA = 2
+export const RX_STATE_NAMES = ['IDLE', 'SYNC', 'DATA']
+
+const HOPS_PER_SYMBOL = 8      // preamble search resolution, also the edge-measurement block length
+const LEVEL_EVERY_HOPS = 2     // how often 'level' events are posted
+
+// Timing-recovery loop gains (proportional on the measured edge error, integral for clock drift)
+const TIMING_KP = 0.15
+const TIMING_KI = 0.004
+const TIMING_MIN_CONF = 0.5    // only trust edges of symbols decided this clearly
+const TIMING_MIN_SEP = 1       // tones of a transition must lie this many edge-block bandwidths apart
+
+// Automatic frequency control: tones are assumed to be scaled by a common factor (resampling
+// and Doppler both multiply frequencies), estimated from phase advance between blocks
+const AFC_GAIN = 0.05          // per confident data symbol
+const AFC_MAX = 0.01           // never retune by more than ±1 %
+const AFC_STEADY = 1.25        // two blocks count as the same steady tone if amplitudes differ less than this
+
+// Per-tone noise floor, learned in dB from hop blocks while idle
+const NOISE_WARMUP_MS = 250    // plain average over this long before anything is detected
+const NOISE_ALPHA = 0.05       // per hop, for blocks below the SNR margin
+const NOISE_CREEP_DB_S = 1     // blocks above the margin still raise the floor this fast, so a new steady noise source is learned
+const NOISE_MIN_DB = -110      // floor never drops below this (digital silence in loopback)
+
+const CHIRP_DETECT = 0.3       // normalized matched-filter output that counts as a chirp
+const CHIRP_HOLD_MS = 10       // after crossing, keep looking this long for the strongest (direct-path) peak
+
+const LEGACY_LOCK_SYMS = 2     // a steady legacy preamble tone this long (of its four symbols) is a lock
+const LEGACY_ORDER = 16        // legacy data: MFSK-16 on the first sixteen tones, no mode header
+
+export function ampToDb(amp) {
+    return 20 * Math.log10(amp + 1e-12)
+}
+
+// Bank of Goertzel filters fed one sample at a time; amplitudes() returns the
+// estimated sine amplitude at every frequency over the samples pushed since clear().
+export class GoertzelBank {
+    constructor(freqs, sampleRate) {
+        this.sampleRate = sampleRate
+        this.s1 = new Float64Array(freqs.length)
+        this.s2 = new Float64Array(freqs.length)
+        this.count = 0
+        this.retune(freqs)
+    }
+
+    // Safe only between blocks (right after clear())
+    retune(freqs) {
+        this.freqs = freqs.slice()
+        this.omegas = Float64Array.from(freqs, f => 2 * Math.PI * f / this.sampleRate)
+        this.coeffs = this.omegas.map(w => 2 * Math.cos(w))
+    }
+
+    push(x) {
+        const { coeffs, s1, s2 } = this
+        for (let i = 0; i < coeffs.length; i++) {
+            const s = x + coeffs[i] * s1[i] - s2[i]
+            s2[i] = s1[i]; s1[i] = s
+        }
+        this.count++
+    }
+
+    amplitudes() {
+        const { coeffs, s1, s2, count } = this
+        return Array.from(coeffs, (c, i) => {
+            const power = s1[i] * s1[i] + s2[i] * s2[i] - c * s1[i] * s2[i]
+            return count ? 2 * Math.sqrt(Math.max(0, power)) / count : 0
+        })
+    }
+
+    // Complex outputs as [re, im]; only phase differences between equal-length blocks are meaningful.
+    phasors() {
+        const { omegas, s1, s2 } = this
+        return Array.from(omegas, (w, i) => [s1[i] - s2[i] * Math.cos(w), s2[i] * Math.sin(w)])
+    }
+
+    clear() {
+        this.s1.fill(0); this.s2.fill(0); this.count = 0
+    }
+}
+
+// Frequency error (Hz) of a steady tone relative to a filter at omega, from the phase
+// advance between two consecutive n-sample blocks. Unambiguous within ±sampleRate / 2n.
+export function phaseOffsetHz(p0, p1, omega, n, sampleRate) {
+    const dphi = Math.atan2(p1[1], p1[0]) - Math.atan2(p0[1], p0[0]) - omega * n
+    const wrapped = dphi - 2 * Math.PI * Math.round(dphi / (2 * Math.PI))
+    return wrapped * sampleRate / (2 * Math.PI * n)
+}
+
+function median(values) {
+    const v = values.slice().sort((x, y) => x - y)
+    return v[Math.floor(v.length / 2)]
+}
+
+// Decision over one symbol window: strongest tone, rated by its margin over the
+// runner-up (0 = tie, 1 = nothing else heard).
+export function softDecide(amps) {
+    let best = 0
+    amps.forEach((m, i) => { if (m > amps[best]) best = i })
+    const second = Math.max(...amps.filter((_, i) => i !== best))
+    return { symbol: best, confidence: amps[best] > 0 ? (amps[best] - second) / amps[best] : 0 }
+}
+
+// Phase-continuous linear sweep, identical to what an OscillatorNode with a
+// linearRampToValueAtTime frequency automation plays.
+export function chirpWaveform(f0, f1, length, sampleRate) {
+    const k = (f1 - f0) / (length / sampleRate)
+    return Float32Array.from({ length }, (_, i) => {
+        const t = i / sampleRate
+        return Math.sin(2 * Math.PI * (f0 * t + k * t * t / 2))
+    })
+}
+
+// Matched filter for a known waveform, computed block-wise with FFT overlap-save.
+// push() returns normalized correlation values (0..1) for the window ending at each of the
+// last `step` samples once a block is complete, otherwise null.
+export class ChirpCorrelator {
+    constructor(template) {
+        this.L = template.length
+        this.M = nextPow2(2 * this.L)
+        this.step = this.M - this.L + 1
+        this.ring = new Float64Array(this.M)
+        this.pos = 0
+        this.fresh = 0
+        this.re = new Float64Array(this.M)
+        this.im = new Float64Array(this.M)
+        this.tRe = new Float64Array(this.M)
+        this.tIm = new Float64Array(this.M)
+        this.tRe.set(template)
+        fft(this.tRe, this.tIm)
+        this.tNorm = Math.sqrt(template.reduce((s, v) => s + v * v, 0))
+        this.energy = new Float64Array(this.M + 1)
+        this.out = new Float64Array(this.step)
+    }
+
+    push(x) {
+        this.ring[this.pos] = x
+        this.pos = (this.pos + 1) % this.M
+        if (++this.fresh < this.step) return null
+        this.fresh = 0
+        const { re, im, tRe, tIm, energy, M, L } = this
+        for (let i = 0; i < M; i++) {
+            const v = this.ring[(this.pos + i) % M]
+            re[i] = v; im[i] = 0
+            energy[i + 1] = energy[i] + v * v
+        }
+        fft(re, im)
+        for (let i = 0; i < M; i++) {
+            const r = re[i] * tRe[i] + im[i] * tIm[i]      // X · conj(T)
+            im[i] = im[i] * tRe[i] - re[i] * tIm[i]; re[i] = r
+        }
+        fft(re, im, true)
+        for (let k = 0; k <= M - L; k++) {
+            const e = Math.sqrt(energy[k + L] - energy[k]) * this.tNorm
+            this.out[k] = e > 1e-9 ? Math.abs(re[k]) / e : 0
+        }
+        return this.out
+    }
+}
+
+export class Demodulator {
+    // symDuration in ms; dataFreqs = the tone ladder of the largest order to accept (smaller
+    // orders use its first tones; the mode header after the preamble says which); preambleFreqs = [A, B];
+    // chirp = { f0, f1, durationMs } for the optional LFM preamble, detected alongside the tones.
+    // snrMargin = dB above the learned noise floor a tone must reach to count as present.
+    // legacy = { freq, symbols, gapMs } also accepts the single-tone preamble of the original
+    // acoustic-modem.html (held for `symbols` symbols, then gapMs of silence) and the bare
+    // MFSK-16 data that follows it; 'data' and 'mode' events then carry legacy: true.
+    // Sample positions in events (at, start, end) count from the first sample processed.
+    constructor({ sampleRate, symDuration, dataFreqs, preambleFreqs, preamblePairs, chirp, legacy, snrMargin, onEvent }) {
+        this.sampleRate = sampleRate
+        this.symSamples = Math.round(symDuration * sampleRate / 1000)
+        this.hopSamples = Math.max(1, Math.round(this.symSamples / HOPS_PER_SYMBOL))
+        this.preamblePairs = preamblePairs
+        this.snrMargin = snrMargin
+        this.onEvent = onEvent
+        this.nData = dataFreqs.length
+        this.dataFreqs = dataFreqs
+        this.preambleFreqs = preambleFreqs
+        // The legacy tone rides at the end of the hop bank, after the data tones
+        this.legacy = legacy && dataFreqs.length >= LEGACY_ORDER ? legacy : null
+        this.hopFreqs = [...preambleFreqs, ...dataFreqs, ...(this.legacy ? [this.legacy.freq] : [])]
+        this.freqScale = 1     // AFC estimate: received tone = nominal × freqScale
+        // Noise floor in dB per hop-bank tone ([A, B, ...data, legacy]), measured over one hop;
+        // it survives reset() so every packet starts with a floor already learned
+        this.noiseDb = new Float64Array(this.hopFreqs.length)
+        this.noiseHops = 0
+        this.noiseWarmup = Math.ceil(NOISE_WARMUP_MS * sampleRate / 1000 / this.hopSamples)
+        this.noiseCreep = NOISE_CREEP_DB_S * this.hopSamples / sampleRate
+        // Hop bank watches preamble + data tones at sub-symbol resolution; data bank integrates whole symbols
+        this.hopBank = new GoertzelBank(this.hopFreqs, sampleRate)
+        this.dataBank = new GoertzelBank(dataFreqs, sampleRate)
+        // Short blocks either side of each window boundary, for locating tone transitions
+        this.headBank = new GoertzelBank(dataFreqs, sampleRate)
+        this.tailBank = new GoertzelBank(dataFreqs, sampleRate)
+        if (chirp) {
+            this.chirp = new ChirpCorrelator(chirpWaveform(chirp.f0, chirp.f1, Math.round(chirp.durationMs * sampleRate / 1000), sampleRate))
+            this.chirpHold = Math.round(CHIRP_HOLD_MS * sampleRate / 1000)
+        }
+        this.chirpMax = 0
+        // Recent raw samples, so a data window can start in the past once a chirp is found
+        // (its correlation arrives up to one block late)
+        this.history = new Float32Array(nextPow2(2 * (this.chirp ? this.chirp.M : this.symSamples)))
+        this.n = 0           // absolute sample counter
+        this.hopIndex = 0
+        this.reset()
+    }
+
+    setSnrMargin(snrMargin) { this.snrMargin = snrMargin }
+
+    // Control messages from the UI thread ({ type: 'reset' } or { type: 'snrMargin', value })
+    command(msg) {
+        if (msg.type === 'reset') this.reset()
+        else if (msg.type === 'snrMargin') this.setSnrMargin(msg.value)
+    }
+
+    // Floors for the data tones over an n-sample block: noise amplitude falls with √n.
+    dataFloorDb(n) {
+        const gain = 10 * Math.log10(n / this.hopSamples)
+        return Array.from(this.noiseDb.subarray(2, 2 + this.nData), db => db - gain)
+    }
+
+    // While idle every hop refines the floor: blocks under the margin pull it towards them,
+    // louder ones (a preamble, or noise that just got worse) only let it creep upwards.
+    learnNoise(amps) {
+        const floor = this.noiseDb
+        if (this.noiseHops < this.noiseWarmup) {
+            const k = this.noiseHops++
+            for (let i = 0; i < floor.length; i++) floor[i] = (floor[i] * k + Math.max(NOISE_MIN_DB, ampToDb(amps[i]))) / (k + 1)
+            return
+        }
+        for (let i = 0; i < floor.length; i++) {
+            const snr = ampToDb(amps[i]) - floor[i]
+            floor[i] = Math.max(NOISE_MIN_DB, floor[i] + (snr < this.snrMargin ? NOISE_ALPHA * snr : this.noiseCreep))
+        }
+    }
+
+    reset() {
+        this.state = RX_IDLE
+        this.syncBuf = []
+        this.onsetAmps = []       // preamble amplitude of the hop before the onset, the onset hop and the next
+        this.onsetHop = -1
+        this.prevHopAmp = 0
+        this.prevHop = null       // dominant preamble tone of the last hop, for AFC
+        this.afcPreamble = []     // freqScale estimates gathered while the preamble plays
+        this.chirpPeak = null
+        this.legacyRun = null     // { hop, amps, hops } of a steady legacy preamble tone in progress
+        this.legacyLock = false   // the preamble being answered is the legacy one
+        this.prevLegacyAmp = 0
+        this.toneLock = null      // { n, freqScale } when the tone preamble was declared
+        this.dataStart = 0
+        this.dataPos = 0          // sample index just past the last one pushed into a data window
+        this.windows = 0
+        this.order = null         // modulation order, known once the mode header is in
+        this.modeAmps = []
+        this.dataBank.clear()
+        this.resetTiming()
+    }
+
+    resetTiming() {
+        this.windowLen = this.symSamples
+        this.timingFrac = 0      // sub-sample remainder carried between windows
+        this.timingOffset = 0    // total correction applied since data start, in samples
+        this.drift = 0           // integrator: samples per symbol
+        this.prevSymbol = -1
+        this.edgeAmps = []       // [tail of previous window, head block 0, head block 1]
+        this.headBlocks = []     // { amps, ph } of head blocks 0–2, for AFC
+        this.headBank.clear(); this.tailBank.clear()
+    }
+
+    // Current timing state for the debug bar: offset in ms, drift in ppm of the symbol clock,
+    // and the AFC offset expressed in Hz at the preamble tones.
+    timing() {
+        const preMid = (this.preambleFreqs[0] + this.preambleFreqs[1]) / 2
+        return {
+            timingMs: this.timingOffset / this.sampleRate * 1000,
+            driftPpm: this.drift / this.symSamples * 1e6,
+            afcHz: (this.freqScale - 1) * preMid
+        }
+    }
+
+    // Moves every detection frequency to nominal × scale. Data-side banks are retuned at once
+    // (callers only do this between windows); the free-running hop bank at its next block.
+    setFreqScale(scale) {
+        this.freqScale = Math.min(1 + AFC_MAX, Math.max(1 - AFC_MAX, scale))
+        const data = this.dataFreqs.map(f => f * this.freqScale)
+        this.dataBank.retune(data); this.headBank.retune(data); this.tailBank.retune(data)
+        this.hopRetune = true
+    }
+
+    process(samples) {
+        const hist = this.history, mask = hist.length - 1
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i]
+            hist[this.n & mask] = x
+            this.hopBank.push(x)
+            if (this.chirp) {
+                const corr = this.chirp.push(x)
+                if (corr) this.scanChirp(corr, this.n - corr.length + 1)
+            }
+            if (this.state === RX_SYNC && this.n >= this.dataStart) this.beginData()
+            if (this.state === RX_DATA) this.pushData(x)
+            this.n++
+            if (this.hopBank.count === this.hopSamples) this.endHop()
+        }
+    }
+
+    endHop() {
+        const amps = this.hopBank.amplitudes()
+        const phasors = this.hopBank.phasors()
+        this.hopBank.clear()
+        if (this.hopRetune) {
+            this.hopRetune = false
+            this.hopBank.retune(this.hopFreqs.map(f => f * this.freqScale))
+        }
+        const snr = Array.from(amps, (amp, i) => ampToDb(amp) - this.noiseDb[i])
+        const a = snr[0], b = snr[1]
+        const hopAmp = Math.max(amps[0], amps[1])
+        const warm = this.noiseHops >= this.noiseWarmup
+
+        if (this.state === RX_IDLE) {
+            if (warm) {
+                // A and B count above the data band's typical level rather than the bare floor: a
+                // loud link in a neighbouring sub-band spills over every tone of a short hop block,
+                // the data tones included, and must not pass for a preamble
+                const spill = Math.max(0, median(snr.slice(2, 2 + this.nData)))
+                this.measurePreambleFreq(amps, phasors, Math.max(a, b) - spill > this.snrMargin)
+                this.searchPreamble(a - spill, b - spill, hopAmp)
+                if (this.legacy && this.state === RX_IDLE) this.searchLegacy(snr, amps)
+            }
+            if (this.state === RX_IDLE) this.learnNoise(amps)
+        }
+        this.prevHopAmp = hopAmp
+        if (this.legacy) this.prevLegacyAmp = amps[amps.length - 1]
+
+        if (this.hopIndex % LEVEL_EVERY_HOPS === 0) {
+            const dataSnr = snr.slice(2, 2 + this.nData)
+            const symbol = dataSnr.indexOf(Math.max(...dataSnr))
+            this.onEvent({
+                type: 'level', a, b, legacy: this.legacy ? snr[snr.length - 1] : null, dom: dataSnr[symbol], symbol, snr: dataSnr,
+                noiseDb: warm ? Math.max(...this.noiseDb) : null,
+                state: RX_STATE_NAMES[this.state], ...this.timing(), chirp: this.chirpMax
+            })
+            this.chirpMax = 0
+        }
+        this.hopIndex++
+    }
+
+    // Two consecutive hops of the same steady preamble tone give one phase-advance frequency
+    // estimate; estimates are collected while a preamble may be in progress.
+    measurePreambleFreq(amps, phasors, loud) {
+        const tone = amps[0] > amps[1] ? 0 : 1
+        const prev = this.prevHop
+        this.prevHop = loud ? { tone, amp: amps[tone], ph: phasors[tone] } : null
+        if (!loud) { if (this.syncBuf.length <= 1) this.afcPreamble = []; return }
+        if (!prev || prev.tone !== tone) return
+        if (Math.max(prev.amp, amps[tone]) > AFC_STEADY * Math.min(prev.amp, amps[tone])) return
+        const bank = this.hopBank
+        const hz = phaseOffsetHz(prev.ph, phasors[tone], 2 * Math.PI * bank.freqs[tone] / this.sampleRate, this.hopSamples, this.sampleRate)
+        this.afcPreamble.push((bank.freqs[tone] + hz) / this.preambleFreqs[tone])
+        if (this.afcPreamble.length > 64) this.afcPreamble.shift()
+    }
+
+    // Counts A/B alternations hop by hop; four of them mean a preamble is in progress.
+    // Only runs of at least half a symbol count, so noise flickering between A and B does not.
+    searchPreamble(a, b, hopAmp) {
+        const buf = this.syncBuf
+        if (Math.max(a, b) > this.snrMargin) {
+            if (buf.length === 0) { this.onsetHop = this.hopIndex; this.onsetAmps = [this.prevHopAmp, hopAmp] }
+            else if (this.onsetAmps.length === 2) this.onsetAmps.push(hopAmp)
+            buf.push(a > b ? 'A' : 'B')
+            if (buf.length > HOPS_PER_SYMBOL * 6) buf.shift()
+            const runs = []
+            let len = 1
+            for (let i = 1; i <= buf.length; i++) {
+                if (i < buf.length && buf[i] === buf[i - 1]) { len++; continue }
+                if (len >= HOPS_PER_SYMBOL / 2 && runs[runs.length - 1] !== buf[i - 1]) runs.push(buf[i - 1])
+                len = 1
+            }
+            if (runs.length - 1 >= 4) {
+                this.state = RX_SYNC
+                // Preamble tones take PREAMBLE_PAIRS * 2 symbols, the guard gap one more
+                this.dataStart = this.preambleOnset() + (this.preamblePairs * 2 + 1) * this.symSamples
+                this.toneLock = { n: this.n, freqScale: this.freqScale }
+                if (this.afcPreamble.length >= 3) this.setFreqScale(median(this.afcPreamble))
+                this.onEvent({ type: 'preamble', kind: 'tones', at: this.preambleOnset() })
+            }
+        } else {
+            if (buf.length > 0) buf.pop()
+            if (buf.length === 0) this.onsetHop = -1
+        }
+    }
+
+    // The legacy preamble is one steady tone, louder than A, B and every data tone; once it has
+    // sounded LEGACY_LOCK_SYMS symbols, its onset says where the data starts.
+    searchLegacy(snr, amps) {
+        const i = amps.length - 1
+        if (snr[i] > this.snrMargin && amps[i] >= Math.max(...amps.slice(0, i))) {
+            const run = this.legacyRun ??= { hop: this.hopIndex, amps: [this.prevLegacyAmp], hops: 0 }
+            if (run.amps.length < 3) run.amps.push(amps[i])
+            if (++run.hops >= LEGACY_LOCK_SYMS * HOPS_PER_SYMBOL) {
+                const at = this.preambleOnset(run.hop, run.amps)
+                this.state = RX_SYNC
+                this.legacyLock = true
+                this.dataStart = at + this.legacy.symbols * this.symSamples + Math.round(this.legacy.gapMs * this.sampleRate / 1000)
+                this.onEvent({ type: 'preamble', kind: 'legacy', at })
+            }
+        } else {
+            this.legacyRun = null
+        }
+    }
+
+    // Sample index where the first preamble tone started (of the tone preamble, unless another
+    // run's onset hop and amplitudes are given). A Goertzel amplitude grows linearly with the
+    // number of tone samples in the block, so the partial onset hop (and the one before it)
+    // measured against the next, full hop gives the fraction of a hop the tone had already
+    // been sounding.
+    preambleOnset(hop = this.onsetHop, onsetAmps = this.onsetAmps) {
+        const start = hop * this.hopSamples
+        const [prev, cur, full] = onsetAmps
+        if (!full) return start
+        const hops = Math.min(2, Math.max(0, (prev + cur) / full))
+        return Math.round(start + this.hopSamples - hops * this.hopSamples)
+    }
+
+    // firstIdx = absolute sample index of corr[0]'s window end. The correlator reports up to
+    // one FFT block late, long enough for data tones near A/B to pass for a tone preamble; a
+    // chirp that ended before such a lock was declared takes over from it.
+    scanChirp(corr, firstIdx) {
+        for (let i = 0; i < corr.length; i++) {
+            const c = corr[i], idx = firstIdx + i
+            if (c > this.chirpMax) this.chirpMax = c
+            if (this.state !== RX_IDLE && !(this.toneLock && idx < this.toneLock.n)) continue
+            const peak = this.chirpPeak
+            if (peak) {
+                if (c > peak.c) { peak.c = c; peak.idx = idx }
+                if (idx - peak.first > this.chirpHold) {
+                    // Peak = last chirp sample; the guard gap (one symbol) follows
+                    if (this.toneLock) this.setFreqScale(this.toneLock.freqScale)
+                    this.toneLock = null
+                    this.state = RX_SYNC
+                    this.dataStart = peak.idx + 1 + this.symSamples
+                    this.onEvent({ type: 'preamble', kind: 'chirp', at: peak.idx + 1 })
+                }
+            } else if (c > CHIRP_DETECT) {
+                this.chirpPeak = { c, idx, first: idx }
+            }
+        }
+    }
+
+    beginData() {
+        this.state = RX_DATA
+        this.windows = 0
+        this.order = null
+        this.modeAmps = []
+        this.dataBank.clear()
+        this.resetTiming()
+        this.onEvent({ type: 'data', at: this.dataStart, ...(this.legacyLock ? { legacy: true } : {}) })
+        if (this.legacyLock) {
+            this.order = LEGACY_ORDER
+            this.onEvent({ type: 'mode', order: LEGACY_ORDER, bits: Math.log2(LEGACY_ORDER), legacy: true })
+        }
+        // Catch up on samples that arrived before the data start was known
+        this.dataPos = this.dataStart
+        const hist = this.history, mask = hist.length - 1
+        for (let k = this.dataStart; k < this.n && this.state === RX_DATA; k++) this.pushData(hist[k & mask])
+    }
+
+    pushData(x) {
+        const bank = this.dataBank, h = this.hopSamples
+        this.dataPos++
+        bank.push(x)
+        if (bank.count <= 3 * h) {
+            this.headBank.push(x)
+            if (this.headBank.count === h) {
+                const amps = this.headBank.amplitudes()
+                if (this.headBlocks.length < 2) this.edgeAmps.push(amps)
+                this.headBlocks.push({ amps, ph: this.headBank.phasors() })
+                this.headBank.clear()
+            }
+        }
+        if (bank.count > this.windowLen - h) this.tailBank.push(x)
+        if (bank.count === this.windowLen) this.endWindow()
+    }
+
+    endWindow() {
+        const floor = this.dataFloorDb(this.dataBank.count)
+        // Decide on amplitude relative to each tone's own floor, so a noisy or
+        // poorly reproduced tone neither wins by default nor gets drowned out
+        const amps = this.dataBank.amplitudes().map((amp, i) => amp * 10 ** (-floor[i] / 20))
+        const start = this.dataPos - this.dataBank.count
+        this.dataBank.clear()
+        this.windows++
+        // The first MODE_SYMS windows are the mode header on the lowest MODE_ORDER tones
+        const inHeader = this.order === null
+        const { symbol, confidence } = softDecide(amps.slice(0, inHeader ? MODE_ORDER : this.order))
+        const snr = ampToDb(amps[symbol])
+        const present = snr > this.snrMargin
+        // Every window, for diagnostics: its sample span and what was decided in it
+        this.onEvent({ type: 'window', start, end: this.dataPos, symbol, present, header: inHeader })
+        if (inHeader) {
+            this.modeAmps.push(amps.slice(0, MODE_ORDER))
+            if (this.modeAmps.length === MODE_SYMS) {
+                const { order, bits } = decodeMode(...this.modeAmps, this.nData)
+                this.order = order
+                this.onEvent({ type: 'mode', order, bits })
+            }
+        } else if (present) this.onEvent({ type: 'symbol', symbol, confidence, snr })
+        else this.onEvent({ type: 'silence' })
+
+        const heads = this.headBlocks
+        this.trackTiming(symbol, confidence, present)
+        this.trackFrequency(symbol, confidence, present, heads)
+    }
+
+    // Refines the AFC estimate from the phase advance of the decided tone across head blocks
+    // 1 and 2 of the window (block 0 may still hold the glide from the previous tone), when
+    // both lie inside a steady tone. Runs after trackTiming so every bank is between blocks
+    // when it is retuned.
+    trackFrequency(symbol, confidence, present, [, b1, b2]) {
+        if (!b2 || confidence <= TIMING_MIN_CONF || !present) return
+        const a1 = b1.amps[symbol], a2 = b2.amps[symbol]
+        if (Math.max(a1, a2) > AFC_STEADY * Math.min(a1, a2)) return
+        const bank = this.headBank
+        const hz = phaseOffsetHz(b1.ph[symbol], b2.ph[symbol], bank.omegas[symbol], this.hopSamples, this.sampleRate)
+        this.setFreqScale(this.freqScale + AFC_GAIN * hz / this.dataFreqs[symbol])
+    }
+
+    // Early/late detector: where did the decided tone start relative to the window boundary?
+    // Using the same linear-amplitude argument as preambleOnset, the tone's amplitude in the
+    // last block of the previous window plus the first block of this one, over a full block,
+    // says how many blocks before the second block it was already sounding. Ideal: one.
+    // Only transitions to a different tone carry this information, and only when the
+    // short edge blocks can tell the two tones apart (close ladders at short symbols cannot).
+    trackTiming(symbol, confidence, present) {
+        const h = this.hopSamples
+        const [tail, head0, head1] = this.edgeAmps
+        const prev = this.prevSymbol
+        const apart = prev < 0 || Math.abs(this.dataFreqs[symbol] - this.dataFreqs[prev]) * h >= TIMING_MIN_SEP * this.sampleRate
+        if (tail && head1 && symbol !== prev && apart && confidence > TIMING_MIN_CONF &&
+            present && head1[symbol] > 0) {
+            const blocks = Math.min(2, (tail[symbol] + head0[symbol]) / head1[symbol])
+            const err = h - blocks * h      // > 0: tone starts after our boundary, windows are early
+            this.drift += TIMING_KI * err
+            this.timingFrac += TIMING_KP * err
+        }
+        this.timingFrac += this.drift
+        const step = Math.round(this.timingFrac)
+        this.timingFrac -= step
+        this.timingOffset += step
+        this.windowLen = this.symSamples + step
+
+        this.prevSymbol = present ? symbol : -1
+        this.edgeAmps = [this.tailBank.amplitudes()]
+        this.headBlocks = []
+        this.tailBank.clear(); this.headBank.clear()
+    }
+}
@@ -0,0 +1,277 @@
+// ══════════════════════════════════════════════════════════
+// FORWARD ERROR CORRECTION
+// Systematic Reed-Solomon over GF(256) (primitive poly 0x11d, fcr = 0)
+// plus a block interleaver that spreads bursts across codewords.
+// ══════════════════════════════════════════════════════════
+
+const GF_EXP = new Uint8Array(512)
+const GF_LOG = new Uint8Array(256)
+{
+    let x = 1
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x; GF_LOG[x] = i
+        x <<= 1
+        if (x & 0x100) x ^= 0x11d
+    }
+    for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255]
+}
+
+// ── Field arithmetic ──
+function gfMul(a, b) {
+    if (a === 0 || b === 0) return 0
+    return GF_EXP[GF_LOG[a] + GF_LOG[b]]
+}
+
+function gfDiv(a, b) {
+    if (a === 0) return 0
+    return GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255]
+}
+
+function gfPow(x, power) {
+    return GF_EXP[(((GF_LOG[x] * power) % 255) + 255) % 255]
+}
+
+function gfInverse(x) {
+    return GF_EXP[255 - GF_LOG[x]]
+}
+
+// Polynomials are plain arrays, highest-degree coefficient first.
+function polyScale(p, x) {
+    return p.map(c => gfMul(c, x))
+}
+
+function polyAdd(p, q) {
+    const r = new Array(Math.max(p.length, q.length)).fill(0)
+    for (let i = 0; i < p.length; i++) r[i + r.length - p.length] = p[i]
+    for (let i = 0; i < q.length; i++) r[i + r.length - q.length] ^= q[i]
+    return r
+}
+
+function polyMul(p, q) {
+    const r = new Array(p.length + q.length - 1).fill(0)
+    for (let j = 0; j < q.length; j++)
+        for (let i = 0; i < p.length; i++) r[i + j] ^= gfMul(p[i], q[j])
+    return r
+}
+
+function polyEval(p, x) {
+    let y = p[0]
+    for (let i = 1; i < p.length; i++) y = gfMul(y, x) ^ p[i]
+    return y
+}
+
+function polyMod(dividend, divisor) {
+    const out = dividend.slice()
+    for (let i = 0; i < dividend.length - (divisor.length - 1); i++) {
+        const coef = out[i]
+        if (coef === 0) continue
+        for (let j = 1; j < divisor.length; j++)
+            if (divisor[j] !== 0) out[i + j] ^= gfMul(divisor[j], coef)
+    }
+    return out.slice(out.length - (divisor.length - 1))
+}
+
+const generatorCache = new Map()
+function generatorPoly(nsym) {
+    if (!generatorCache.has(nsym)) {
+        let g = [1]
+        for (let i = 0; i < nsym; i++) g = polyMul(g, [1, gfPow(2, i)])
+        generatorCache.set(nsym, g)
+    }
+    return generatorCache.get(nsym)
+}
+
+// ── Reed-Solomon codec ──
+// Returns data followed by nsym parity bytes (data.length + nsym <= 255).
+export function rsEncode(data, nsym) {
+    const out = new Uint8Array(data.length + nsym)
+    out.set(data, 0)
+    if (nsym === 0) return out
+    const gen = generatorPoly(nsym)
+    for (let i = 0; i < data.length; i++) {
+        const coef = out[i]
+        if (coef === 0) continue
+        for (let j = 1; j < gen.length; j++) out[i + j] ^= gfMul(gen[j], coef)
+    }
+    out.set(data, 0)
+    return out
+}
+
+function calcSyndromes(msg, nsym) {
+    const synd = [0]
+    for (let i = 0; i < nsym; i++) synd.push(polyEval(msg, gfPow(2, i)))
+    return synd
+}
+
+function forneySyndromes(synd, erasePos, n) {
+    const fsynd = synd.slice(1)
+    for (const p of erasePos) {
+        const x = gfPow(2, n - 1 - p)
+        for (let j = 0; j < fsynd.length - 1; j++) fsynd[j] = gfMul(fsynd[j], x) ^ fsynd[j + 1]
+    }
+    return fsynd
+}
+
+// Berlekamp-Massey on the Forney syndromes; null when there are more errors than nsym allows.
+function findErrorLocator(synd, nsym, eraseCount) {
+    let errLoc = [1], oldLoc = [1]
+    const shift = synd.length > nsym ? synd.length - nsym : 0
+    for (let i = 0; i < nsym - eraseCount; i++) {
+        const k = i + shift
+        let delta = synd[k]
+        for (let j = 1; j < errLoc.length; j++) delta ^= gfMul(errLoc[errLoc.length - 1 - j], synd[k - j])
+        oldLoc = oldLoc.concat([0])
+        if (delta !== 0) {
+            if (oldLoc.length > errLoc.length) {
+                const newLoc = polyScale(oldLoc, delta)
+                oldLoc = polyScale(errLoc, gfInverse(delta))
+                errLoc = newLoc
+            }
+            errLoc = polyAdd(errLoc, polyScale(oldLoc, delta))
+        }
+    }
+    while (errLoc.length && errLoc[0] === 0) errLoc.shift()
+    const errs = errLoc.length - 1
+    if (errs * 2 + eraseCount > nsym) return null
+    return errLoc
+}
+
+// Chien search: positions (from the start of msg) where the locator has a root.
+function findErrors(errLoc, n) {
+    const pos = []
+    for (let i = 0; i < n; i++) if (polyEval(errLoc, gfPow(2, i)) === 0) pos.push(n - 1 - i)
+    return pos.length === errLoc.length - 1 ? pos : null
+}
+
+// Forney algorithm: computes error magnitudes at the known errata positions.
+function correctErrata(msg, synd, errPos) {
+    const coefPos = errPos.map(p => msg.length - 1 - p)
+    let errLoc = [1]
+    for (const c of coefPos) errLoc = polyMul(errLoc, polyAdd([1], [gfPow(2, c), 0]))
+    const syndRev = synd.slice().reverse()
+    const errEval = polyMod(polyMul(syndRev, errLoc), [1].concat(new Array(errLoc.length).fill(0))).reverse()
+    const X = coefPos.map(c => gfPow(2, c - 255))
+    const out = msg.slice()
+    for (let i = 0; i < X.length; i++) {
+        const xiInv = gfInverse(X[i])
+        let prime = 1
+        for (let j = 0; j < X.length; j++) if (j !== i) prime = gfMul(prime, 1 ^ gfMul(xiInv, X[j]))
+        if (prime === 0) return null
+        const y = gfMul(X[i], polyEval(errEval.slice().reverse(), xiInv))
+        out[errPos[i]] ^= gfDiv(y, prime)
+    }
+    return out
+}
+
+// Decodes one codeword. erasures lists indices known to be unreliable.
+// Returns { data, corrected } or null when the codeword is beyond repair.
+export function rsDecode(codeword, nsym, erasures = []) {
+    if (nsym === 0) return { data: Uint8Array.from(codeword), corrected: 0 }
+    if (erasures.length > nsym) return null
+    const msg = Array.from(codeword)
+    for (const p of erasures) msg[p] = 0
+    let synd = calcSyndromes(msg, nsym)
+    let fixed = msg
+    if (synd.some(s => s !== 0)) {
+        const fsynd = forneySyndromes(synd, erasures, msg.length)
+        const errLoc = findErrorLocator(fsynd, nsym, erasures.length)
+        if (!errLoc) return null
+        const errPos = findErrors(errLoc.slice().reverse(), msg.length)
+        if (!errPos) return null
+        fixed = correctErrata(msg, synd, erasures.concat(errPos))
+        if (!fixed) return null
+        synd = calcSyndromes(fixed, nsym)
+        if (synd.some(s => s !== 0)) return null
+    }
+    let corrected = 0
+    for (let i = 0; i < fixed.length; i++) if (fixed[i] !== codeword[i]) corrected++
+    return { data: Uint8Array.from(fixed.slice(0, fixed.length - nsym)), corrected }
+}
+
+// ── Payload blocking + interleaving ──
+// Code rates offered by the UI: k data bytes + nsym parity bytes per full codeword.
+export const FEC_RATES = [
+    { id: 'off', label: 'OFF', k: 255, nsym: 0 },
+    { id: '7/8', label: 'RS 7/8', k: 223, nsym: 32 },
+    { id: '3/4', label: 'RS 3/4', k: 191, nsym: 64 },
+    { id: '1/2', label: 'RS 1/2', k: 127, nsym: 128 },
+]
+
+// Splits len payload bytes into near-equal codewords of at most k data bytes.
+// Shortened codewords keep the nominal k:nsym ratio so small packets get the same rate.
+export function fecLayout(len, k, nsym) {
+    if (len === 0) return []
+    if (nsym === 0) return [{ data: len, parity: 0 }]
+    const blocks = Math.ceil(len / k)
+    const base = Math.floor(len / blocks), extra = len % blocks
+    return Array.from({ length: blocks }, (_, i) => {
+        const data = base + (i < extra ? 1 : 0)
+        return { data, parity: Math.min(nsym, Math.max(2, Math.ceil(data * nsym / k))) }
+    })
+}
+
+export function fecEncodedLength(len, k, nsym) {
+    return fecLayout(len, k, nsym).reduce((n, b) => n + b.data + b.parity, 0)
+}
+
+// Stream position → [codeword, offset], reading the codewords column by column.
+function interleaveOrder(lengths) {
+    const order = []
+    const maxLen = Math.max(0, ...lengths)
+    for (let j = 0; j < maxLen; j++)
+        for (let b = 0; b < lengths.length; b++) if (j < lengths[b]) order.push([b, j])
+    return order
+}
+
+export function fecEncode(payload, k, nsym) {
+    const layout = fecLayout(payload.length, k, nsym)
+    let off = 0
+    const codewords = layout.map(({ data, parity }) => {
+        const cw = rsEncode(payload.subarray(off, off + data), parity)
+        off += data
+        return cw
+    })
+    const order = interleaveOrder(codewords.map(c => c.length))
+    return Uint8Array.from(order, ([b, j]) => codewords[b][j])
+}
+
+// Stream position of every payload byte, for mapping per-symbol flags onto decoded data.
+export function fecPayloadPositions(payloadLen, k, nsym) {
+    const layout = fecLayout(payloadLen, k, nsym)
+    const starts = []
+    layout.reduce((off, b) => { starts.push(off); return off + b.data }, 0)
+    const out = new Int32Array(payloadLen)
+    interleaveOrder(layout.map(b => b.data + b.parity)).forEach(([b, j], pos) => {
+        if (j < layout[b].data) out[starts[b] + j] = pos
+    })
+    return out
+}
+
+// stream may be short; missing bytes are treated as erasures. erasures lists stream positions
+// flagged as unreliable; if a codeword cannot be decoded with them it is retried without, since
+// a soft flag on a byte that was in fact right costs a parity symbol for nothing.
+// Returns { data, corrected, failed } where failed counts codewords that could not be repaired
+// (their data bytes are passed through as received so the CRC check reports the damage).
+export function fecDecode(stream, payloadLen, k, nsym, erasures = []) {
+    const layout = fecLayout(payloadLen, k, nsym)
+    const codewords = layout.map(b => new Uint8Array(b.data + b.parity))
+    const missing = layout.map(() => [])
+    const erased = layout.map(() => [])
+    const erasedAt = new Set(erasures)
+    interleaveOrder(codewords.map(c => c.length)).forEach(([b, j], pos) => {
+        if (pos < stream.length) codewords[b][j] = stream[pos]
+        if (pos >= stream.length) missing[b].push(j)
+        else if (erasedAt.has(pos)) erased[b].push(j)
+    })
+    const data = new Uint8Array(payloadLen)
+    let off = 0, corrected = 0, failed = 0
+    codewords.forEach((cw, b) => {
+        const { data: len, parity } = layout[b]
+        const res = rsDecode(cw, parity, missing[b].concat(erased[b])) ||
+            (erased[b].length ? rsDecode(cw, parity, missing[b]) : null)
+        if (res) { data.set(res.data, off); corrected += res.corrected }
+        else { data.set(cw.subarray(0, len), off); failed++ }
+        off += len
+    })
+    return { data, corrected, failed }
+}
@@ -0,0 +1,34 @@
+// In-place iterative radix-2 FFT on separate real/imaginary arrays.
+// Length must be a power of two; the inverse transform is scaled by 1/n.
+export function fft(re, im, inverse = false) {
+    const n = re.length
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1
+        for (; j & bit; bit >>= 1) j ^= bit
+        j ^= bit
+        if (i < j) {
+            let t = re[i]; re[i] = re[j]; re[j] = t
+            t = im[i]; im[i] = im[j]; im[j] = t
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const half = len >> 1
+        const ang = (inverse ? 2 : -2) * Math.PI / len
+        for (let j = 0; j < half; j++) {
+            const wr = Math.cos(ang * j), wi = Math.sin(ang * j)
+            for (let a = j; a < n; a += len) {
+                const b = a + half
+                const tr = re[b] * wr - im[b] * wi, ti = re[b] * wi + im[b] * wr
+                re[b] = re[a] - tr; im[b] = im[a] - ti
+                re[a] += tr; im[a] += ti
+            }
+        }
+    }
+    if (inverse) for (let i = 0; i < n; i++) { re[i] /= n; im[i] /= n }
+}
+
+export function nextPow2(n) {
+    let p = 1
+    while (p < n) p <<= 1
+    return p
+}
@@ -0,0 +1,62 @@
+// ══════════════════════════════════════════════════════════
+// FILE PAYLOAD
+// A TYPE_FILE payload is a small metadata block followed by the
+// file's bytes, so the name and MIME type survive the trip.
+// ══════════════════════════════════════════════════════════
+
+// Layout: name length (1 B), UTF-8 name, MIME length (1 B), ASCII MIME type, file size
+// (4 B, big-endian), then the file itself
+const FIELD_MAX = 255
+const DEFAULT_MIME = 'application/octet-stream'
+
+// UTF-8 of s cut to at most max bytes without splitting a character
+function utf8Prefix(s, max) {
+    const enc = new TextEncoder()
+    let bytes = enc.encode(s)
+    if (bytes.length <= max) return bytes
+    const chars = [...s]
+    while (bytes.length > max) { chars.pop(); bytes = enc.encode(chars.join('')) }
+    return bytes
+}
+
+// Keeps the extension when a long name has to be shortened
+function fitName(name) {
+    if (new TextEncoder().encode(name).length <= FIELD_MAX) return name
+    const dot = name.lastIndexOf('.')
+    const ext = dot > 0 && name.length - dot <= 16 ? name.slice(dot) : ''
+    const stem = utf8Prefix(name.slice(0, name.length - ext.length), FIELD_MAX - new TextEncoder().encode(ext).length)
+    return new TextDecoder().decode(stem) + ext
+}
+
+export function encodeFilePayload({ name, mime, bytes }) {
+    const nameBytes = new TextEncoder().encode(fitName(name || 'file'))
+    const mimeBytes = new TextEncoder().encode((mime || DEFAULT_MIME).slice(0, FIELD_MAX))
+    const out = new Uint8Array(2 + nameBytes.length + mimeBytes.length + 4 + bytes.length)
+    let off = 0
+    out[off++] = nameBytes.length; out.set(nameBytes, off); off += nameBytes.length
+    out[off++] = mimeBytes.length; out.set(mimeBytes, off); off += mimeBytes.length
+    new DataView(out.buffer).setUint32(off, bytes.length); off += 4
+    out.set(bytes, off)
+    return out
+}
+
+// { name, mime, size, bytes }, or null when the metadata is malformed or the size disagrees
+export function decodeFilePayload(payload) {
+    let off = 0
+    const field = () => {
+        if (off >= payload.length) return null
+        const len = payload[off++]
+        if (off + len > payload.length) return null
+        const s = new TextDecoder().decode(payload.subarray(off, off + len)); off += len
+        return s
+    }
+    const name = field(), mime = field()
+    if (name === null || mime === null || off + 4 > payload.length) return null
+    const size = new DataView(payload.buffer, payload.byteOffset + off, 4).getUint32(0); off += 4
+    if (payload.length - off !== size) return null
+    return { name, mime: mime || DEFAULT_MIME, size, bytes: payload.subarray(off) }
+}
+
+export function formatBytes(n) {
+    return n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(2)} MB`
+}
@@ -0,0 +1,101 @@
+// ══════════════════════════════════════════════════════════
+// RECEPTION HISTORY
+// Every reception — decoded, locked or corrupt — kept in
+// IndexedDB so it survives the next packet and a reload, plus
+// search and JSON / ZIP export of the log.
+// ══════════════════════════════════════════════════════════
+
+import { zipStore } from './zip.js'
+
+// An entry:
+//   { id, time, type, status, size, detail, config, corrected, segments,
+//     src?, dst?, channel?, text?, name?, mime?, imgW?, imgH?, bytes }
+// type is 'TEXT' | 'IMAGE' | 'FILE' | '' (unknown or unreadable); status is 'ok', 'locked'
+// (sealed, no key), 'header' / 'payload' (CRC failed), 'version' (another protocol version),
+// 'nosync', 'short' or 'damaged' (decoded but unusable); src / dst / channel are the header's
+// addressing where it was readable (channel null for a legacy frame); bytes are the content for
+// 'ok' entries, the bytes as received otherwise.
+const DB_NAME = 'acoust'
+const DB_VERSION = 1
+const STORE = 'receptions'
+
+let dbPromise = null
+
+function openDb() {
+    dbPromise ??= new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION)
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+        req.onsuccess = () => resolve(req.result)
+        req.onerror = () => { dbPromise = null; reject(req.error) }
+    })
+    return dbPromise
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb()
+    return new Promise((resolve, reject) => {
+        const req = fn(db.transaction(STORE, mode).objectStore(STORE))
+        req.onsuccess = () => resolve(req.result)
+        req.onerror = () => reject(req.error)
+    })
+}
+
+// Stores an entry (without id) and resolves to it with the id it was given
+export async function addReception(entry) {
+    const id = await withStore('readwrite', s => s.add(entry))
+    return { ...entry, id }
+}
+
+// Newest first
+export async function listReceptions() {
+    return (await withStore('readonly', s => s.getAll())).reverse()
+}
+
+export function deleteReception(id) {
+    return withStore('readwrite', s => s.delete(id))
+}
+
+// Case-insensitive match of every word in query against the entry's text fields and date
+export function matchesQuery(entry, query) {
+    const hay = [entry.type, entry.status, entry.detail, entry.text, entry.name, entry.mime, new Date(entry.time).toLocaleString()]
+        .filter(Boolean).join(' ').toLowerCase()
+    return query.toLowerCase().split(/\s+/).every(word => hay.includes(word))
+}
+
+// Name of the entry's content inside an export: "0042-text.txt", "0043-notes.pdf", …
+export function entryFileName(entry) {
+    const n = String(entry.id).padStart(4, '0')
+    if (entry.status !== 'ok') return `${n}-${entry.status}.bin`
+    if (entry.type === 'FILE') return `${n}-${entry.name.replace(/[\\/:*?"<>|]/g, '_')}`
+    return `${n}-${entry.type.toLowerCase()}.${entry.type === 'TEXT' ? 'txt' : entry.type === 'IMAGE' ? 'jpg' : 'bin'}`
+}
+
+function toBase64(bytes) {
+    let bin = ''
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    return btoa(bin)
+}
+
+// JSON-safe copy of an entry: ISO timestamp, and the bytes as base64 (data) or, for a ZIP,
+// the name of the file holding them (file)
+function entryRecord(entry, inZip) {
+    const { bytes, ...meta } = entry
+    return { ...meta, time: new Date(entry.time).toISOString(), ...(inZip ? { file: entryFileName(entry) } : { data: toBase64(bytes) }) }
+}
+
+function envelope(entries, inZip) {
+    return { app: 'acoust', format: 1, exported: new Date().toISOString(), entries: entries.map(e => entryRecord(e, inZip)) }
+}
+
+export function exportJson(entries) {
+    return JSON.stringify(envelope(entries, false), null, 2)
+}
+
+// history.json (metadata) plus one file per entry with its content
+export function exportZip(entries) {
+    const index = new TextEncoder().encode(JSON.stringify(envelope(entries, true), null, 2))
+    return zipStore([
+        { name: 'history.json', bytes: index },
+        ...entries.map(e => ({ name: entryFileName(e), bytes: e.bytes, time: e.time }))
+    ])
+}
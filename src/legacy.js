@@ -0,0 +1,82 @@
+// ══════════════════════════════════════════════════════════
+// LEGACY FORMAT
+// Frames of the original acoustic-modem.html (protocol version 1):
+// a 500 Hz preamble, then the 16-byte header and the payload as
+// plain MFSK-16 nibbles — no mode header, CRC or FEC.
+// ══════════════════════════════════════════════════════════
+
+import { MAGIC, TYPE_TEXT, TYPE_IMAGE, ERASURE_CONF, BROADCAST, findSyncOffset } from './packet.js'
+import { unpackBits, byteSymbols } from './bitpack.js'
+
+export const LEGACY_VERSION = 1
+export const LEGACY_HEADER_LEN = 16
+export const LEGACY_BITS = 4             // MFSK-16, one nibble per symbol, high nibble first
+export const LEGACY_PREAMBLE_FREQ = 500  // Hz, held for LEGACY_PREAMBLE_SYMS symbols
+export const LEGACY_PREAMBLE_SYMS = 4
+export const LEGACY_GAP_MS = 30          // silence between the preamble and the first nibble
+export const LEGACY_TONE_FRAC = 0.92     // each nibble's tone sounds for this much of its symbol
+
+// Header: magic, type (byte 4), payload length (5–8), image width (9–10) and height (11–12), all
+// big-endian; bytes 13–15 unused
+export function buildLegacyHeader(type, payloadLen, imgW = 0, imgH = 0) {
+    const h = new Uint8Array(LEGACY_HEADER_LEN)
+    h.set(MAGIC)
+    h[4] = type
+    h[5] = (payloadLen >>> 24) & 0xff; h[6] = (payloadLen >> 16) & 0xff; h[7] = (payloadLen >> 8) & 0xff; h[8] = payloadLen & 0xff
+    h[9] = (imgW >> 8) & 0xff; h[10] = imgW & 0xff
+    h[11] = (imgH >> 8) & 0xff; h[12] = imgH & 0xff
+    return h
+}
+
+// In the shape of parseHeader()'s result, so a legacy packet takes the same path through the
+// UI: one whole segment, no flags, no FEC, from station 0 to everyone on every channel. Without a
+// CRC, only a known type stands in for headerOk (that prototype sent nothing else).
+export function parseLegacyHeader(bytes) {
+    if (bytes.length < LEGACY_HEADER_LEN) return null
+    const type = bytes[4]
+    const payloadLen = ((bytes[5] << 24) | (bytes[6] << 16) | (bytes[7] << 8) | bytes[8]) >>> 0
+    return {
+        version: LEGACY_VERSION, type, payloadLen, imgW: (bytes[9] << 8) | bytes[10], imgH: (bytes[11] << 8) | bytes[12],
+        fecNsym: 0, fecK: 0, flags: 0, src: 0, dst: BROADCAST, channel: null, transferId: 0, segIndex: 0, segCount: 1,
+        headerOk: type === TYPE_TEXT || type === TYPE_IMAGE
+    }
+}
+
+// Header and payload as sent: the nibble stream starts with the magic
+export function encodeLegacyFrame(type, payload, imgW = 0, imgH = 0) {
+    const frame = new Uint8Array(LEGACY_HEADER_LEN + payload.length)
+    frame.set(buildLegacyHeader(type, payload.length, imgW, imgH)); frame.set(payload, LEGACY_HEADER_LEN)
+    return frame
+}
+
+// frameProgress() for a legacy reception
+export function legacyProgress(raw) {
+    if (raw.length < LEGACY_HEADER_LEN * 2) return null
+    const syncOff = findSyncOffset(raw, LEGACY_BITS)
+    if (syncOff < 0) return null
+    const hdr = parseLegacyHeader(unpackBits(raw.slice(syncOff, syncOff + LEGACY_HEADER_LEN * 2), LEGACY_BITS))
+    if (!hdr || !hdr.headerOk) return null
+    return { hdr, totalSyms: syncOff + (LEGACY_HEADER_LEN + hdr.payloadLen) * 2 }
+}
+
+// decodeFrame() for a legacy reception, with the same statuses. Nothing can be verified or
+// repaired: a payload is 'ok' once all its bytes are in, and its low-confidence bytes are
+// all the warning there is.
+export function decodeLegacyFrame(raw, confidences) {
+    const syncOff = findSyncOffset(raw, LEGACY_BITS)
+    if (syncOff < 0) return { status: 'nosync', bytes: unpackBits(raw, LEGACY_BITS) }
+    const allBytes = unpackBits(raw.slice(syncOff), LEGACY_BITS)
+    if (allBytes.length < LEGACY_HEADER_LEN) return { status: 'short', bytes: allBytes }
+    const hdr = parseLegacyHeader(allBytes)
+    if (!hdr.headerOk) return { status: 'header', bytes: allBytes.slice(0, LEGACY_HEADER_LEN) }
+
+    const payload = allBytes.slice(LEGACY_HEADER_LEN, LEGACY_HEADER_LEN + hdr.payloadLen)
+    if (payload.length < hdr.payloadLen)
+        return { status: 'payload', hdr, payload, reason: `truncated ${payload.length}/${hdr.payloadLen} bytes` }
+    const conf = confidences.slice(syncOff)
+    const lowPayload = Array.from(payload, (_, i) => {
+        const [first, last] = byteSymbols(LEGACY_HEADER_LEN + i, LEGACY_BITS)
+        return conf[first] < ERASURE_CONF || conf[last] < ERASURE_CONF
+    })
+    return { status: 'ok', hdr, payload, corrected: 0, lowPayload }
+}
@@ -0,0 +1,307 @@
+// ══════════════════════════════════════════════════════════
+// MODEM
+// Framework-free modem on top of the modulator, demodulator and
+// framing: packet bytes → PCM at any sample rate, and PCM (or a
+// stream of demodulator events) → packets. The React UI and the
+// Node tests both drive it through a plain config object.
+// ══════════════════════════════════════════════════════════
+
+import { FEC_RATES } from './fec.js'
+import { Demodulator } from './demodulator.js'
+import { MFSK_ORDERS, MODE_SYMS, modeSymbols, symbolCount, packBits } from './bitpack.js'
+import { renderTransmission } from './modulator.js'
+import { FRAME_HEAD_LEN, ERASURE_CONF, SINGLE_SEGMENT, ANY_STATION, buildHeader, buildFrame, frameLength, frameProgress, decodeFrame } from './packet.js'
+import { newTransferId, segmentLengths, splitPayload } from './transfer.js'
+import { LEGACY_HEADER_LEN, LEGACY_PREAMBLE_FREQ, LEGACY_PREAMBLE_SYMS, LEGACY_GAP_MS, legacyProgress, decodeLegacyFrame } from './legacy.js'
+
+// Preamble: alternating between two tones ABOVE the MFSK-16 data band.
+// Base freq 1000 + (15*200) = 4000Hz max. Preamble at 4400 & 4800 ensures no collision
+// and avoids the poor <1000Hz freq response of cheap cell phone speakers. Larger orders
+// run over them, which is harmless: the preamble is only searched for while idle (a chirp
+// preamble heard late still wins, see Demodulator.scanChirp).
+export const PRE_TONE_A = 4400  // Hz
+export const PRE_TONE_B = 4800  // Hz
+export const PREAMBLE_PAIRS = 3   // 3 A-B alternations = 6 symbol durations
+
+// Optional LFM chirp preamble: one up-sweep across the whole band. The receiver finds it with a
+// matched filter, which gives a far sharper timing peak than tone onsets and survives reverb.
+export const CHIRP_F0 = 1000     // Hz
+export const CHIRP_F1 = 4800     // Hz
+export const CHIRP_MS = 200
+export const PREAMBLES = [
+    { id: 'tones', label: 'A/B TONES' },
+    { id: 'chirp', label: 'LFM CHIRP' },
+]
+
+export const MAX_TONE_FRAC = 0.45  // highest usable tone as a fraction of the sample rate
+
+// Payloads whose frame would be on the air longer than this go out in segments, so one bad
+// stretch costs one segment rather than the whole transfer
+export const SEGMENT_MAX_MS = 40000
+export const SEGMENT_GAP_MS = 300    // silence between the segments of a transfer
+const MIN_SEGMENT_BYTES = 16         // floor for very slow settings, where even the header is long
+
+// Everything both ends must agree on, as edited in the UI's config bar. fecRate is a
+// FEC_RATES id and preamble a PREAMBLES id; snrMargin only matters to the receiver.
+// A sub-band of a band plan (see bandConfig() in bands.js) adds band, its id, and replaces
+// the ladder, the preamble tones (preambleFreqs), the chirp's sweep and the largest order
+// (maxOrder), and may keep guardHz free below Nyquist; without them the full-band defaults
+// below apply.
+export const DEFAULT_CONFIG = {
+    symDuration: 120, baseFreq: 1000, freqSpacing: 200,
+    order: 16, fecRate: '3/4', preamble: 'tones', snrMargin: 12
+}
+
+// The first n tones of the base + i × spacing series
+export function toneLadder({ baseFreq, freqSpacing }, n) {
+    return Array.from({ length: n }, (_, i) => baseFreq + i * freqSpacing)
+}
+
+// The top tone of an order-M ladder must stay clear of Nyquist
+export function ladderFits(order, base, spacing, sampleRate) {
+    return base + (order - 1) * spacing < sampleRate * MAX_TONE_FRAC
+}
+
+// Largest order the receiver can accept at this sample rate (and within the sub-band, if any)
+export function rxLadderOrder({ baseFreq, freqSpacing, maxOrder = Infinity }, sampleRate) {
+    return MFSK_ORDERS.filter(o => o.order <= maxOrder && ladderFits(o.order, baseFreq, freqSpacing, sampleRate)).pop()?.order
+        ?? MFSK_ORDERS[0].order
+}
+
+// Preamble tones [A, B] and chirp sweep { f0, f1, durationMs } of a config
+export function preambleTones(config) {
+    return config.preambleFreqs ?? [PRE_TONE_A, PRE_TONE_B]
+}
+
+export function chirpSpec(config) {
+    return { ...(config.chirp ?? { f0: CHIRP_F0, f1: CHIRP_F1 }), durationMs: CHIRP_MS }
+}
+
+// Whether every tone a config sends (ladder and preamble) stays under MAX_TONE_FRAC of the
+// sample rate and, on a sub-band with a guard (see bands.js), that far below Nyquist
+export function configFits(config, sampleRate) {
+    const top = Math.max(config.baseFreq + (config.order - 1) * config.freqSpacing, preambleTones(config)[1])
+    return top < sampleRate * MAX_TONE_FRAC && top + (config.guardHz ?? 0) < sampleRate / 2
+}
+
+// Preamble airtime in ms, excluding the one-symbol guard gap
+export function preambleMs(kind, symDuration) {
+    return kind === 'chirp' ? CHIRP_MS : PREAMBLE_PAIRS * 2 * symDuration
+}
+
+// Preamble description for renderTransmission()
+export function preambleSpec(config) {
+    return config.preamble === 'chirp'
+        ? { kind: 'chirp', ...chirpSpec(config) }
+        : { kind: 'tones', freqs: preambleTones(config), pairs: PREAMBLE_PAIRS }
+}
+
+function modeOf(config) {
+    return MFSK_ORDERS.find(o => o.order === config.order)
+}
+
+function fecOf(config) {
+    return FEC_RATES.find(r => r.id === config.fecRate)
+}
+
+// Symbols on the air (mode header included) and airtime in ms of one frame
+function frameAirtime(config, payloadLen) {
+    const fec = fecOf(config)
+    const symbols = MODE_SYMS + symbolCount(frameLength(payloadLen, fec.k, fec.nsym), modeOf(config).bits)
+    return { symbols, ms: preambleMs(config.preamble, config.symDuration) + (symbols + 1) * config.symDuration }
+}
+
+// Largest segment payload whose frame stays within SEGMENT_MAX_MS
+export function segmentSize(config) {
+    let lo = MIN_SEGMENT_BYTES, hi = 0xffff
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1
+        if (frameAirtime(config, mid).ms <= SEGMENT_MAX_MS) lo = mid
+        else hi = mid - 1
+    }
+    return lo
+}
+
+// Symbols on the air (mode headers included), airtime in ms (gaps between segments included)
+// and segment count for a payload of payloadLen bytes
+export function airtime(config, payloadLen) {
+    const total = { symbols: 0, ms: 0, segments: 0 }
+    for (const len of segmentLengths(payloadLen, segmentSize(config))) {
+        const t = frameAirtime(config, len)
+        total.symbols += t.symbols; total.ms += t.ms; total.segments++
+    }
+    total.ms += (total.segments - 1) * SEGMENT_GAP_MS
+    return total
+}
+
+// ══════════════════════════════════════════════════════════
+// TRANSMIT
+// ══════════════════════════════════════════════════════════
+
+// Frame bytes for a payload of the given packet type, and its data symbols (no mode header).
+// seg ({ transferId, index, count }) numbers the frame within a segmented transfer; flags
+// are the header's FLAG_* bits and addr ({ src, dst, channel }) its addressing.
+export function encodeFrame(config, type, payload, imgW = 0, imgH = 0, seg = SINGLE_SEGMENT, flags = 0, addr = ANY_STATION) {
+    const fec = fecOf(config)
+    const frame = buildFrame(buildHeader(type, payload, fec, imgW, imgH, seg, flags, addr), payload, fec)
+    return { frame, symbols: packBits(frame, modeOf(config).bits) }
+}
+
+// One encodeFrame() result per segment, each with its segment index; a payload that fits a
+// single frame still gets a transfer ID, so a repeat of it is recognised as the same transfer.
+// flags and addr go into every segment's header.
+export function encodeTransfer(config, type, payload, imgW = 0, imgH = 0, transferId = newTransferId(), flags = 0, addr = ANY_STATION) {
+    const parts = splitPayload(payload, segmentSize(config))
+    return parts.map((part, index) => ({
+        index, ...encodeFrame(config, type, part, imgW, imgH, { transferId, index, count: parts.length }, flags, addr)
+    }))
+}
+
+// Preamble, 1-symbol guard gap, mode header (always MFSK-8) and data as one PCM buffer
+export function renderFrame(config, symbols, sampleRate) {
+    if (!configFits(config, sampleRate))
+        throw new RangeError(`${modeOf(config).label} tones do not fit at a ${sampleRate} Hz sample rate`)
+    return renderTransmission({
+        sampleRate, symDuration: config.symDuration, preamble: preambleSpec(config),
+        ladder: toneLadder(config, config.order), symbols: [...modeSymbols(config.order), ...symbols]
+    })
+}
+
+// Frames (encodeTransfer() results, in any order or a subset) back to back, SEGMENT_GAP_MS apart
+export function renderTransfer(config, frames, sampleRate) {
+    const gap = Math.round(SEGMENT_GAP_MS * sampleRate / 1000)
+    const parts = frames.map(f => renderFrame(config, f.symbols, sampleRate))
+    const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0) + (parts.length - 1) * gap)
+    let off = 0
+    for (const p of parts) { out.set(p, off); off += p.length + gap }
+    return out
+}
+
+export function modulate(config, sampleRate, type, payload, imgW = 0, imgH = 0) {
+    return renderTransfer(config, encodeTransfer(config, type, payload, imgW, imgH), sampleRate)
+}
+
+// ══════════════════════════════════════════════════════════
+// RECEIVE
+// ══════════════════════════════════════════════════════════
+
+export function demodulatorOptions(config, sampleRate) {
+    return {
+        // Ladder of the largest order that fits this sample rate; the mode header picks the order
+        sampleRate, symDuration: config.symDuration, snrMargin: config.snrMargin,
+        dataFreqs: toneLadder(config, rxLadderOrder(config, sampleRate)),
+        preambleFreqs: preambleTones(config), preamblePairs: PREAMBLE_PAIRS,
+        chirp: chirpSpec(config),
+        // Transmissions of the original acoustic-modem.html are decoded alongside (see legacy.js);
+        // they use the full band, so a sub-band receiver leaves them alone
+        legacy: config.band ? null : { freq: LEGACY_PREAMBLE_FREQ, symbols: LEGACY_PREAMBLE_SYMS, gapMs: LEGACY_GAP_MS }
+    }
+}
+
+// Collects the Demodulator's symbol decisions into frames. Feed it every demodulator event
+// with handle(); it reports through onEvent:
+//   { type: 'progress', symbols, bits, low, silence, frame } after each data window, where frame
+//       is frameProgress() once the header is in (null before)
+//   { type: 'packet', symbols, bits, ...decodeFrame() result } when a frame is complete or the
+//       air goes quiet; symbols are the raw decisions it was decoded from
+//   { type: 'abort' } when the air went quiet before a whole header arrived
+// After a legacy preamble (the demodulator's 'data' event says so), frames are read with
+// legacyProgress() / decodeLegacyFrame() instead, and packet events carry legacy: true.
+// A reception is bounded by its own header rather than by time: it ends at the frame length
+// the header gives, or after twice the header's symbols when no valid header turns up.
+// command(msg) reaches the demodulator (directly, or through the worklet port) so the
+// assembler can send it back to preamble search once a packet is done.
+export class PacketAssembler {
+    constructor({ onEvent, command }) {
+        this.onEvent = onEvent
+        this.command = command
+        this.bits = 4
+        this.reset()
+    }
+
+    reset() {
+        this.receiving = false
+        this.legacy = false
+        this.symbols = []
+        this.confidences = []    // soft-decision confidence per received symbol
+        this.silence = 0
+        this.command({ type: 'reset' })
+    }
+
+    handle(e) {
+        if (e.type === 'data') {
+            this.receiving = true
+            this.legacy = !!e.legacy
+            this.symbols = []; this.confidences = []; this.silence = 0
+        } else if (e.type === 'mode') {
+            this.bits = e.bits
+        } else if (this.receiving && e.type === 'symbol') {
+            this.symbols.push(e.symbol)
+            this.confidences.push(e.confidence)
+            this.silence = 0
+            const frame = this.legacy ? legacyProgress(this.symbols) : frameProgress(this.symbols, this.bits)
+            const limit = frame ? frame.totalSyms : 2 * symbolCount(this.headLen(), this.bits)
+            if (this.symbols.length >= limit) { this.finish(); return }
+            this.progress(frame)
+        } else if (this.receiving && e.type === 'silence') {
+            // Dead air for a full symbol duration = packet maybe over
+            this.silence++
+            if (this.symbols.length >= symbolCount(this.headLen(), this.bits)) { this.finish(); return }
+            if (this.symbols.length > 0) {
+                // Too short to be a valid packet, abort
+                this.reset()
+                this.onEvent({ type: 'abort' }); return
+            }
+            this.progress(null)
+        }
+    }
+
+    progress(frame) {
+        this.onEvent({
+            type: 'progress', symbols: this.symbols.length, bits: this.bits, frame, silence: this.silence,
+            low: this.confidences.filter(c => c < ERASURE_CONF).length
+        })
+    }
+
+    // Bytes before the payload: the header with its parity, or the bare legacy header
+    headLen() {
+        return this.legacy ? LEGACY_HEADER_LEN : FRAME_HEAD_LEN
+    }
+
+    finish() {
+        const { symbols, bits, legacy } = this
+        const result = legacy ? decodeLegacyFrame(symbols, this.confidences) : decodeFrame(symbols, this.confidences, bits)
+        this.reset()
+        this.onEvent({ type: 'packet', symbols, bits, ...result, ...(legacy ? { legacy } : {}) })
+    }
+}
+
+// Streaming receiver: a Demodulator and a PacketAssembler, with the assembler's packet events
+// passed to onPacket. Events are handled between 128-sample blocks, just as the worklet's
+// messages would arrive, so feed process() 128 samples at a time.
+export class Receiver {
+    constructor(config, sampleRate, onPacket) {
+        this.queue = []
+        this.demod = new Demodulator({ ...demodulatorOptions(config, sampleRate), onEvent: e => this.queue.push(e) })
+        this.assembler = new PacketAssembler({
+            command: msg => this.demod.command(msg),
+            onEvent: e => { if (e.type === 'packet') onPacket(e) }
+        })
+    }
+
+    process(block) {
+        this.demod.process(block)
+        while (this.queue.length) this.assembler.handle(this.queue.shift())
+    }
+}
+
+// Decodes every packet in a PCM recording, in order of arrival
+export function demodulate(config, sampleRate, pcm) {
+    const packets = []
+    const rx = new Receiver(config, sampleRate, p => packets.push(p))
+    // Two symbols of silence so a packet running to the very end is closed
+    const padded = new Float32Array(pcm.length + 2 * Math.round(config.symDuration * sampleRate / 1000))
+    padded.set(pcm)
+    for (let i = 0; i < padded.length; i += 128) rx.process(padded.subarray(i, i + 128))
+    return packets
+}
@@ -0,0 +1,58 @@
+// ══════════════════════════════════════════════════════════
+// MODULATOR
+// Framework-free transmit side: renders a whole transmission into one
+// PCM buffer as continuous-phase FSK with raised-cosine shaping.
+// ══════════════════════════════════════════════════════════
+
+import { chirpWaveform } from './demodulator.js'
+
+const RAMP_MS = 5              // raised-cosine fade in/out at both ends of every burst
+const GLIDE_FRAC = 0.1         // share of a symbol over which the frequency glides to the next tone
+
+// Raised-cosine step: 0 for x ≤ 0, 1 for x ≥ 1
+function rcStep(x) {
+    return x <= 0 ? 0 : x >= 1 ? 1 : 0.5 - 0.5 * Math.cos(Math.PI * x)
+}
+
+// Writes freqs[k] for symbol k (symSamples each) starting at out[start]. The phase runs on
+// across symbols and each change of frequency follows a raised-cosine glide centred on the
+// boundary, so the burst has no phase jumps and no amplitude dips between symbols.
+function renderBurst(out, start, freqs, symSamples, gain, sampleRate) {
+    const len = freqs.length * symSamples
+    const glide = Math.max(1, Math.round(GLIDE_FRAC * symSamples)), half = glide / 2
+    const ramp = Math.round(RAMP_MS * sampleRate / 1000)
+    let phase = 0
+    for (let n = 0; n < len; n++) {
+        const k = Math.floor(n / symSamples), m = n - k * symSamples
+        let f = freqs[k]
+        if (m >= symSamples - half && k + 1 < freqs.length) f += (freqs[k + 1] - f) * rcStep((m - symSamples + half) / glide)
+        else if (m < half && k > 0) f = freqs[k - 1] + (f - freqs[k - 1]) * rcStep((m + half) / glide)
+        const env = rcStep(n / ramp) * rcStep((len - n) / ramp)
+        out[start + n] = gain * env * Math.sin(phase)
+        phase += 2 * Math.PI * f / sampleRate
+        if (phase > 2 * Math.PI) phase -= 2 * Math.PI
+    }
+}
+
+// preamble = { kind: 'tones', freqs: [A, B], pairs } or { kind: 'chirp', f0, f1, durationMs };
+// symbols are ladder indices (mode header included). Layout: preamble, one silent guard
+// symbol, then the data burst.
+export function renderTransmission({ sampleRate, symDuration, preamble, ladder, symbols, preambleGain = 0.5, dataGain = 0.42 }) {
+    const symSamples = Math.round(symDuration * sampleRate / 1000)
+    const preSamples = preamble.kind === 'chirp'
+        ? Math.round(preamble.durationMs * sampleRate / 1000)
+        : preamble.pairs * 2 * symSamples
+    const dataStart = preSamples + symSamples
+    const out = new Float32Array(dataStart + symbols.length * symSamples)
+
+    if (preamble.kind === 'chirp') {
+        const sweep = chirpWaveform(preamble.f0, preamble.f1, preSamples, sampleRate)
+        const ramp = Math.round(RAMP_MS * sampleRate / 1000)
+        for (let n = 0; n < preSamples; n++) out[n] = preambleGain * rcStep(n / ramp) * rcStep((preSamples - n) / ramp) * sweep[n]
+    } else {
+        const [a, b] = preamble.freqs
+        renderBurst(out, 0, Array.from({ length: preamble.pairs * 2 }, (_, i) => i % 2 ? b : a), symSamples, preambleGain, sampleRate)
+    }
+    renderBurst(out, dataStart, symbols.map(s => ladder[s]), symSamples, dataGain, sampleRate)
+    return out
+}
@@ -0,0 +1,219 @@
+// ══════════════════════════════════════════════════════════
+// PACKET FRAMING
+// Header layout, CRC-32, the RS-protected frame and its decoding
+// from received symbols. No audio or UI here.
+// ══════════════════════════════════════════════════════════
+
+import { rsEncode, rsDecode, fecEncode, fecDecode, fecEncodedLength, fecPayloadPositions } from './fec.js'
+import { symbolCount, packBits, unpackBits, byteSymbols } from './bitpack.js'
+
+export const MAGIC = [0x41, 0x43, 0x53, 0x54]
+// Header layout generation, in the byte after the magic. Version 1 is the unversioned 16-byte
+// header of the original acoustic-modem.html (see legacy.js), whose byte 4 is the packet type.
+export const PROTOCOL_VERSION = 2
+export const TYPE_TEXT = 0x54
+export const TYPE_IMAGE = 0x49
+export const TYPE_FILE = 0x46    // any file: name, MIME type and size lead the payload (see file.js)
+export const TYPE_ACK = 0x41     // ARQ acknowledgement: segment bitmap of a transfer (see arq.js)
+export const HEADER_LEN = 34
+export const HEADER_PARITY = 8   // RS parity bytes sent after the header itself (repairs up to 4 bad bytes)
+export const FRAME_HEAD_LEN = HEADER_LEN + HEADER_PARITY
+export const ERASURE_CONF = 0.3  // symbols whose best tone beats the runner-up by less than this are erasures
+
+// ── CRC-32 (IEEE 802.3, reflected poly 0xEDB88320) ──
+const CRC_TABLE = (() => {
+    const t = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+        let c = n
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+        t[n] = c >>> 0
+    }
+    return t
+})()
+
+export function crc32(bytes) {
+    let c = 0xffffffff
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+    return (c ^ 0xffffffff) >>> 0
+}
+
+function writeU32(buf, off, v) {
+    buf[off] = (v >>> 24) & 0xff; buf[off + 1] = (v >>> 16) & 0xff
+    buf[off + 2] = (v >>> 8) & 0xff; buf[off + 3] = v & 0xff
+}
+
+function readU32(buf, off) {
+    return ((buf[off] << 24) | (buf[off + 1] << 16) | (buf[off + 2] << 8) | buf[off + 3]) >>> 0
+}
+
+function writeU16(buf, off, v) {
+    buf[off] = (v >> 8) & 0xff; buf[off + 1] = v & 0xff
+}
+
+function readU16(buf, off) {
+    return (buf[off] << 8) | buf[off + 1]
+}
+
+// A payload sent whole: segment 0 of 1, transfer ID 0
+export const SINGLE_SEGMENT = { transferId: 0, index: 0, count: 1 }
+
+// Station addressing: one-byte station IDs 0–254 for source and destination (0 is left to
+// senders that do not name themselves), BROADCAST as the destination of a frame for everyone,
+// and a channel number 0–255 that splits a shared room into groups which ignore each other
+export const BROADCAST = 0xff
+export const MAX_STATION_ID = 0xfe
+export const ANY_STATION = { src: 0, dst: BROADCAST, channel: 0 }
+
+// Whether a frame belongs to station { id, channel }: sent to it or to everyone, on its channel.
+// A header without a channel (a legacy frame, see legacy.js) is on every channel.
+export function forStation(hdr, { id, channel }) {
+    return (hdr.dst === BROADCAST || hdr.dst === id) && (hdr.channel === null || hdr.channel === channel)
+}
+
+// Header flag bits (byte 16)
+export const FLAG_ARQ = 0x01       // the sender wants acknowledgements for this transfer
+export const FLAG_ACK_REQ = 0x02   // last segment of an ARQ window: acknowledge now
+export const FLAG_COMPRESSED = 0x04   // payload is compress()ed (see compress.js); inflate before use
+export const FLAG_ENCRYPTED = 0x08    // payload is sealed with a passphrase (see crypto.js)
+
+// ── Header ──
+// Byte 4 is PROTOCOL_VERSION, bytes 14/15 carry the payload FEC rate (nsym parity + k data bytes
+// per codeword), byte 16 the FLAG_* bits, bytes 17–19 the source, destination and channel,
+// bytes 20–23 the CRC-32 of the payload, bytes 24–29 the segment (transfer ID, index and count,
+// see transfer.js) and bytes 30–33 the CRC-32 of header bytes 0–29. For a segment, payload
+// length and CRC are the segment's; type and image size are the whole transfer's.
+// addr = { src, dst, channel }.
+export function buildHeader(type, payload, fec, imgW = 0, imgH = 0, seg = SINGLE_SEGMENT, flags = 0, addr = ANY_STATION) {
+    const h = new Uint8Array(HEADER_LEN)
+    h[0] = MAGIC[0]; h[1] = MAGIC[1]; h[2] = MAGIC[2]; h[3] = MAGIC[3]
+    h[4] = PROTOCOL_VERSION
+    h[5] = type
+    writeU32(h, 6, payload.length)
+    writeU16(h, 10, imgW); writeU16(h, 12, imgH)
+    h[14] = fec.nsym; h[15] = fec.k; h[16] = flags
+    h[17] = addr.src; h[18] = addr.dst; h[19] = addr.channel
+    writeU32(h, 20, crc32(payload))
+    writeU16(h, 24, seg.transferId); writeU16(h, 26, seg.index); writeU16(h, 28, seg.count)
+    writeU32(h, 30, crc32(h.subarray(0, 30)))
+    return h
+}
+
+// Magic is located by findSyncOffset (which tolerates one bad symbol), so it is not
+// re-checked here; a damaged magic or field shows up as headerOk === false instead.
+export function parseHeader(bytes) {
+    if (bytes.length < HEADER_LEN) return null
+    const version = bytes[4], type = bytes[5]
+    const payloadLen = readU32(bytes, 6)
+    const imgW = readU16(bytes, 10), imgH = readU16(bytes, 12)
+    const fecNsym = bytes[14], fecK = bytes[15], flags = bytes[16]
+    const src = bytes[17], dst = bytes[18], channel = bytes[19]
+    const payloadCrc = readU32(bytes, 20)
+    const transferId = readU16(bytes, 24), segIndex = readU16(bytes, 26), segCount = readU16(bytes, 28)
+    const headerOk = crc32(bytes.subarray(0, 30)) === readU32(bytes, 30) && fecK > 0 && fecK + fecNsym <= 255 && segIndex < segCount
+        && src <= MAX_STATION_ID
+    return { version, type, payloadLen, imgW, imgH, fecNsym, fecK, flags, src, dst, channel, payloadCrc, transferId, segIndex, segCount, headerOk }
+}
+
+// ── Frame ──
+// Frame on the air: header, its RS parity, then the interleaved FEC-coded payload.
+export function buildFrame(header, payload, fec) {
+    const body = fecEncode(payload, fec.k, fec.nsym)
+    const frame = new Uint8Array(FRAME_HEAD_LEN + body.length)
+    frame.set(rsEncode(header, HEADER_PARITY), 0); frame.set(body, FRAME_HEAD_LEN)
+    return frame
+}
+
+export function frameLength(payloadLen, k, nsym) {
+    return FRAME_HEAD_LEN + fecEncodedLength(payloadLen, k, nsym)
+}
+
+// Repairs the header codeword when possible; falls back to the raw bytes so the CRC flags it.
+// repaired says whether RS decoding succeeded, i.e. whether the fields are the ones sent.
+export function decodeHeader(bytes, erasures = []) {
+    const cw = bytes.subarray(0, FRAME_HEAD_LEN)
+    const fixed = rsDecode(cw, HEADER_PARITY, erasures) || (erasures.length ? rsDecode(cw, HEADER_PARITY) : null)
+    const hdr = parseHeader(fixed ? fixed.data : bytes.subarray(0, HEADER_LEN))
+    if (hdr) { hdr.corrected = fixed ? fixed.corrected : 0; hdr.repaired = !!fixed }
+    return hdr
+}
+
+// Scan ALL received symbols for the ACST magic ("ACST" = 0x41,0x43,0x53,0x54). Only the
+// symbols made entirely of magic bits are compared, since the frame starts on a symbol.
+// Allows up to 1 symbol mismatch to tolerate occasional symbol errors.
+// Returns the offset, or -1 if not found.
+export function findSyncOffset(raw, bits) {
+    const magicSyms = packBits(MAGIC, bits).slice(0, Math.floor(MAGIC.length * 8 / bits))
+    const limit = raw.length - magicSyms.length  // scan the ENTIRE buffer
+    for (let off = 0; off <= limit; off++) {
+        let errors = 0
+        for (let j = 0; j < magicSyms.length; j++) {
+            if (raw[off + j] !== magicSyms[j]) {
+                errors++
+                if (errors > 1) break  // allow max 1 mismatch
+            }
+        }
+        if (errors <= 1) return off
+    }
+    return -1
+}
+
+// Header of a frame still arriving, with the number of symbols (counted from the first
+// received one) the whole frame will take; null until the header is in and checks out.
+export function frameProgress(raw, bits) {
+    const headSyms = symbolCount(FRAME_HEAD_LEN, bits)
+    if (raw.length < headSyms) return null
+    const syncOff = findSyncOffset(raw, bits)
+    if (syncOff < 0) return null
+    const hdr = decodeHeader(unpackBits(raw.slice(syncOff, syncOff + headSyms), bits))
+    if (!hdr || !hdr.headerOk || hdr.version !== PROTOCOL_VERSION) return null
+    return { hdr, totalSyms: syncOff + symbolCount(frameLength(hdr.payloadLen, hdr.fecK, hdr.fecNsym), bits) }
+}
+
+// Turns received symbols (bits wide, with their soft-decision confidences) back into a packet.
+// The result's status says how far decoding got:
+//   'nosync'  — no magic anywhere; bytes = everything received, unaligned
+//   'short'   — fewer than FRAME_HEAD_LEN bytes after the magic; bytes = those
+//   'version' — an intact header (its RS codeword checks out) of another protocol version,
+//               whose layout past the version byte is not ours to read; version, and bytes =
+//               the raw header
+//   'header'  — header beyond repair or CRC mismatch; bytes = the raw header
+//   'payload' — payload CRC mismatch; hdr, payload (best effort) and reason
+//   'ok'      — hdr, payload, corrected (symbols repaired by RS) and lowPayload, a flag
+//               per payload byte that was carried by a low-confidence symbol
+export function decodeFrame(raw, confidences, bits) {
+    const syncOff = findSyncOffset(raw, bits)
+    if (syncOff < 0) return { status: 'nosync', bytes: unpackBits(raw, bits) }
+
+    // Re-align from the found sync point; a trailing partial byte is dropped
+    const allBytes = unpackBits(raw.slice(syncOff), bits)
+    if (allBytes.length < FRAME_HEAD_LEN) return { status: 'short', bytes: allBytes }
+
+    const conf = confidences.slice(syncOff)
+    const lowByte = i => {
+        const [first, last] = byteSymbols(i, bits)
+        for (let s = first; s <= last; s++) if (conf[s] < ERASURE_CONF) return true
+        return false
+    }
+    const headErasures = []
+    for (let i = 0; i < FRAME_HEAD_LEN; i++) if (lowByte(i)) headErasures.push(i)
+    const hdr = decodeHeader(allBytes, headErasures)
+    // Only a header RS could repair says what the sender's version was; past repair, the
+    // version byte is as likely noise as anything else, so the header is simply corrupt
+    if (hdr.repaired && hdr.version !== PROTOCOL_VERSION) return { status: 'version', version: hdr.version, bytes: allBytes.slice(0, HEADER_LEN) }
+    if (!hdr.headerOk) return { status: 'header', bytes: allBytes.slice(0, HEADER_LEN) }
+
+    // Missing tail bytes count as erasures, so a slightly short reception can still be repaired
+    const bodyLen = fecEncodedLength(hdr.payloadLen, hdr.fecK, hdr.fecNsym)
+    const body = allBytes.slice(FRAME_HEAD_LEN, FRAME_HEAD_LEN + bodyLen)
+    const bodyErasures = []
+    for (let i = 0; i < body.length; i++) if (lowByte(FRAME_HEAD_LEN + i)) bodyErasures.push(i)
+    const dec = fecDecode(body, hdr.payloadLen, hdr.fecK, hdr.fecNsym, bodyErasures)
+    const payload = dec.data
+    if (crc32(payload) !== hdr.payloadCrc) {
+        const reason = body.length < bodyLen ? `truncated ${body.length}/${bodyLen} bytes` : `${dec.failed} uncorrectable block(s)`
+        return { status: 'payload', hdr, payload, reason }
+    }
+    const positions = fecPayloadPositions(hdr.payloadLen, hdr.fecK, hdr.fecNsym)
+    const lowPayload = Array.from(positions, pos => lowByte(FRAME_HEAD_LEN + pos))
+    return { status: 'ok', hdr, payload, corrected: hdr.corrected + dec.corrected, lowPayload }
+}
@@ -0,0 +1,27 @@
+// AudioWorklet wrapper around Demodulator: raw PCM in, decisions posted to the UI thread.
+// Loaded via `?worker&url` so Vite bundles demodulator.js into it.
+import { Demodulator } from './demodulator.js'
+
+class AcoustDemodProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super()
+        this.demod = new Demodulator({
+            ...options.processorOptions,
+            sampleRate,
+            onEvent: e => this.port.postMessage(e)
+        })
+        this.port.onmessage = ({ data }) => this.demod.command(data)
+    }
+
+    process(inputs) {
+        const ch = inputs[0] && inputs[0][0]
+        if (ch) {
+            // Context frame of the demodulator's sample 0, so the UI can place its events in time
+            if (!this.clocked) { this.port.postMessage({ type: 'clock', frame: currentFrame }); this.clocked = true }
+            this.demod.process(ch)
+        }
+        return true
+    }
+}
+
+registerProcessor('acoust-demod', AcoustDemodProcessor)
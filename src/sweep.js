@@ -0,0 +1,81 @@
+// ══════════════════════════════════════════════════════════
+// BER / PER SWEEP
+// Runs packets through the headless modem and the channel
+// simulator over a range of one setting and counts the errors.
+// ══════════════════════════════════════════════════════════
+
+import { unpackBits } from './bitpack.js'
+import { TYPE_TEXT, findSyncOffset } from './packet.js'
+import { encodeFrame, renderFrame, demodulate } from './modem.js'
+import { CHANNEL_PARAMS, rng, simulateChannel } from './channel.js'
+
+const SWEEP_PAD_MS = 500   // quiet channel before and after each packet (the receiver learns its noise floor first)
+
+// Settings a sweep can step through: every channel impairment plus the modem settings worth tuning
+export const SWEEP_PARAMS = [
+    ...CHANNEL_PARAMS.map(p => ({ ...p, scope: 'channel' })),
+    { id: 'symDuration', label: 'SYMBOL DURATION', unit: 'ms', min: 30, max: 400, step: 10, scope: 'modem' },
+    { id: 'freqSpacing', label: 'FREQ SPACING', unit: 'Hz', min: 50, max: 500, step: 50, scope: 'modem' },
+    { id: 'snrMargin', label: 'SNR MARGIN', unit: 'dB', min: 3, max: 40, step: 1, scope: 'modem' },
+]
+
+// steps evenly spaced values from..to, rounded to the setting's step
+export function sweepValues(from, to, steps, step = 1) {
+    if (steps <= 1) return [from]
+    return Array.from({ length: steps }, (_, i) => Math.round((from + (to - from) * i / (steps - 1)) / step) * step)
+}
+
+// Raw (pre-FEC) bit errors of a received packet against the frame that was sent, aligned on
+// the magic when it can be found; bytes that never arrived count as entirely wrong.
+export function frameBitErrors(frame, packet) {
+    if (!packet) return frame.length * 8
+    const sync = Math.max(0, findSyncOffset(packet.symbols, packet.bits))
+    const got = unpackBits(packet.symbols.slice(sync), packet.bits)
+    let errors = 0
+    for (let i = 0; i < frame.length; i++) {
+        if (i >= got.length) { errors += 8; continue }
+        for (let x = frame[i] ^ got[i]; x; x &= x - 1) errors++
+    }
+    return errors
+}
+
+// One packet of seeded random printable text through modem and channel
+export function runTrial(config, channel, sampleRate, payloadLen, seed) {
+    const rand = rng(seed)
+    const payload = Uint8Array.from({ length: payloadLen }, () => 0x20 + Math.floor(rand() * 95))
+    const { frame, symbols } = encodeFrame(config, TYPE_TEXT, payload)
+    const pcm = renderFrame(config, symbols, sampleRate)
+    const pad = Math.round(SWEEP_PAD_MS * sampleRate / 1000)
+    const padded = new Float32Array(pcm.length + 2 * pad)
+    padded.set(pcm, pad)
+    const packets = demodulate(config, sampleRate, simulateChannel(padded, sampleRate, channel, seed))
+    const ok = packets.some(p => p.status === 'ok' && p.payload.length === payloadLen && p.payload.every((b, i) => b === payload[i]))
+    return { bits: frame.length * 8, bitErrors: frameBitErrors(frame, packets[0]), ok }
+}
+
+// Steps param (a SWEEP_PARAMS id) through values with `packets` trials each, yielding to the
+// event loop between trials. onProgress(done, total, points) sees the points so far, the one
+// in progress included; stop() returning true ends the sweep early. Resolves to the points:
+// { value, packets, lost, bits, bitErrors, ber, per }.
+export async function runSweep({ config, channel, param, values, packets, payloadLen, sampleRate, onProgress, stop }) {
+    const scope = SWEEP_PARAMS.find(p => p.id === param).scope
+    const points = []
+    for (let v = 0; v < values.length; v++) {
+        const value = values[v]
+        const cfg = scope === 'modem' ? { ...config, [param]: value } : config
+        const ch = scope === 'channel' ? { ...channel, [param]: value } : channel
+        const point = { value, packets: 0, lost: 0, bits: 0, bitErrors: 0, ber: 0, per: 0 }
+        points.push(point)
+        for (let i = 0; i < packets; i++) {
+            if (stop?.()) return points
+            const t = runTrial(cfg, ch, sampleRate, payloadLen, 1 + v * packets + i)
+            point.packets++; point.bits += t.bits; point.bitErrors += t.bitErrors
+            if (!t.ok) point.lost++
+            point.ber = point.bitErrors / point.bits
+            point.per = point.lost / point.packets
+            onProgress?.(v * packets + i + 1, values.length * packets, points)
+            await new Promise(r => setTimeout(r, 0))
+        }
+    }
+    return points
+}
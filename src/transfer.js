@@ -0,0 +1,105 @@
+// ══════════════════════════════════════════════════════════
+// SEGMENTED TRANSFERS
+// A payload too long for one frame goes out as numbered
+// segments, each a complete frame with its own preamble and
+// header. The receiver collects them, in any order, by the
+// sending station and transfer ID.
+// ══════════════════════════════════════════════════════════
+
+const MAX_TRANSFERS = 8   // transfers tracked at once; the least recently heard is dropped first
+
+// Random non-zero 16-bit transfer ID (0 marks a payload sent whole)
+export function newTransferId() {
+    return 1 + Math.floor(Math.random() * 0xffff)
+}
+
+// Lengths of the near-equal segments, at most size bytes each, that length bytes are cut
+// into (at least one segment, even for an empty payload)
+export function segmentLengths(length, size) {
+    const count = Math.max(1, Math.ceil(length / size))
+    const base = Math.floor(length / count), extra = length % count
+    return Array.from({ length: count }, (_, i) => base + (i < extra ? 1 : 0))
+}
+
+export function splitPayload(payload, size) {
+    let off = 0
+    return segmentLengths(payload.length, size).map(len => payload.subarray(off, off += len))
+}
+
+// Segment indices not yet received
+export function missingSegments(transfer) {
+    const missing = []
+    for (let i = 0; i < transfer.count; i++) if (!transfer.parts[i]) missing.push(i)
+    return missing
+}
+
+// Collects segments by source station and transfer ID, so two stations that happen to pick
+// the same random ID do not mix their segments. add() and fail() return the transfer they
+// belong to:
+//   { id, version, type, imgW, imgH, flags, src, dst, channel, count, parts, failed, complete, duplicate,
+//     payload, lowPayload, corrected }
+// where version is the protocol version, flags the FLAG_* bits and src / dst / channel the
+// addressing of the first segment heard, parts[i] is { payload, lowPayload, corrected } once
+// segment i is in and failed holds the indices heard with a corrupt payload (still missing).
+// duplicate says the segment just added was already held (a retransmission). payload,
+// lowPayload and corrected (symbols repaired by RS) cover the joined segments, set when the
+// transfer completes. Transfer ID 0 (a payload sent whole) is never held, so each of those is
+// a transfer of its own.
+export class TransferReassembler {
+    constructor() {
+        this.transfers = new Map()
+    }
+
+    // The transfer a header belongs to; a header that disagrees with what is already held
+    // under its source and ID (another type or segment count) starts that transfer afresh.
+    transferOf(hdr) {
+        const key = `${hdr.src}:${hdr.transferId}`
+        let t = this.transfers.get(key)
+        if (!t || t.type !== hdr.type || t.count !== hdr.segCount) {
+            t = {
+                id: hdr.transferId, version: hdr.version, type: hdr.type, imgW: hdr.imgW, imgH: hdr.imgH, flags: hdr.flags,
+                src: hdr.src, dst: hdr.dst, channel: hdr.channel, count: hdr.segCount,
+                parts: Array(hdr.segCount).fill(null), failed: new Set(), complete: false, duplicate: false,
+                payload: null, lowPayload: null, corrected: 0
+            }
+        }
+        if (t.id === 0) return t
+        // Most recently heard last, so the oldest is the first key
+        this.transfers.delete(key); this.transfers.set(key, t)
+        if (this.transfers.size > MAX_TRANSFERS) this.transfers.delete(this.transfers.keys().next().value)
+        return t
+    }
+
+    add(hdr, payload, lowPayload, corrected = 0) {
+        const t = this.transferOf(hdr)
+        t.duplicate = !!t.parts[hdr.segIndex]
+        if (t.duplicate) return t
+        t.parts[hdr.segIndex] = { payload, lowPayload, corrected }
+        t.failed.delete(hdr.segIndex)
+        if (missingSegments(t).length === 0) {
+            t.complete = true
+            t.payload = new Uint8Array(t.parts.reduce((n, p) => n + p.payload.length, 0))
+            let off = 0
+            for (const p of t.parts) { t.payload.set(p.payload, off); off += p.payload.length }
+            t.lowPayload = t.parts.flatMap(p => p.lowPayload)
+            t.corrected = t.parts.reduce((n, p) => n + p.corrected, 0)
+        }
+        return t
+    }
+
+    // A segment whose header came through but whose payload did not
+    fail(hdr) {
+        const t = this.transferOf(hdr)
+        if (!t.parts[hdr.segIndex]) t.failed.add(hdr.segIndex)
+        return t
+    }
+
+    // Transfers still waiting for segments, most recently heard first
+    pending() {
+        return [...this.transfers.values()].filter(t => !t.complete).reverse()
+    }
+
+    clear() {
+        this.transfers.clear()
+    }
+}
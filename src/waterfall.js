@@ -0,0 +1,170 @@
+// ══════════════════════════════════════════════════════════
+// WATERFALL
+// Scrolling spectrogram of the receiver input (newest at the
+// top) with the tone ladder marked and the demodulator's symbol
+// windows and decisions laid over the time axis — to see whether
+// a failed reception was timing slip, a weak tone, echo or noise.
+// ══════════════════════════════════════════════════════════
+
+export const WATERFALL_ROW_S = 0.02     // one spectrum row per 20 ms at most
+export const WATERFALL_SECONDS = 8      // history kept on screen at the full row rate (longer when frames come slower)
+
+// Spectrum byte (0–255) → RGB: black, deep blue, cyan, yellow, white
+const PALETTE = (() => {
+    const stops = [[0, 0, 0, 0], [64, 5, 20, 80], [140, 0, 170, 220], [210, 255, 220, 40], [255, 255, 255, 255]]
+    const lut = new Uint8Array(256 * 3)
+    for (let v = 0; v < 256; v++) {
+        const k = stops.findIndex(s => s[0] >= v)
+        const [v0, ...c0] = stops[Math.max(0, k - 1)], [v1, ...c1] = stops[k]
+        const f = v1 === v0 ? 1 : (v - v0) / (v1 - v0)
+        for (let c = 0; c < 3; c++) lut[v * 3 + c] = Math.round(c0[c] + (c1[c] - c0[c]) * f)
+    }
+    return lut
+})()
+
+// Rows live in a ring of `capacity` slots, each with the time it was taken. Marks are the
+// demodulator's events in the same clock (seconds):
+//   { kind: 'window', start, end, symbol, present, header }   one symbol window and its decision
+//   { kind: 'preamble', time, label } / { kind: 'data', time }  preamble lock / data start
+export class Waterfall {
+    constructor(seconds = WATERFALL_SECONDS) {
+        this.capacity = Math.round(seconds / WATERFALL_ROW_S)
+        this.clear()
+    }
+
+    clear() {
+        this.times = new Float64Array(this.capacity)
+        this.count = 0       // rows ever pushed; the newest is slot (count - 1) % capacity
+        this.cols = 0
+        this.pending = []    // rows not yet painted into the ring image
+        this.marks = []
+        this.canvas = null   // offscreen ring image, created by the next draw()
+    }
+
+    // One spectrum row (bins from the view's lowest frequency up) taken at time t; ignored if it comes sooner than
+    // WATERFALL_ROW_S after the last. A row of another width starts the view afresh.
+    push(t, row) {
+        if (this.count && t - this.times[(this.count - 1) % this.capacity] < WATERFALL_ROW_S) return false
+        if (row.length !== this.cols) { this.clear(); this.cols = row.length }
+        const slot = this.count % this.capacity
+        this.times[slot] = t
+        this.pending.push({ slot, row: row.slice() })
+        if (this.pending.length > this.capacity) this.pending.shift()
+        this.count++
+        const oldest = this.oldestTime()
+        while (this.marks.length && (this.marks[0].end ?? this.marks[0].time) < oldest) this.marks.shift()
+        return true
+    }
+
+    mark(m) {
+        this.marks.push(m)
+    }
+
+    oldestTime() {
+        return this.times[Math.max(0, this.count - this.capacity) % this.capacity]
+    }
+
+    // How many rows before the newest one time t falls (fractional; negative when newer than
+    // the newest row), or null when it is older than the view
+    rowsAgo(t) {
+        if (this.count === 0) return null
+        const cap = this.capacity, newest = this.count - 1
+        let lo = Math.max(0, this.count - cap)
+        if (t < this.times[lo % cap]) return null
+        const tNewest = this.times[newest % cap]
+        if (t >= tNewest) return (tNewest - t) / WATERFALL_ROW_S
+        let hi = newest   // times[lo] <= t < times[hi]
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1
+            if (this.times[mid % cap] <= t) lo = mid; else hi = mid
+        }
+        const t0 = this.times[lo % cap], t1 = this.times[hi % cap]
+        return newest - lo - (t - t0) / (t1 - t0)
+    }
+
+    // Paints the view onto a 2D context W×H px. binHz is the width of one row bin and loHz the
+    // frequency of a row's first; tones are the data ladder (a window's symbol indexes it),
+    // preambleTones the markers in orange; label(symbol, header) gives the text for a decision.
+    draw(ctx, W, H, { binHz, loHz = 0, tones, preambleTones, label, scale = 1 }) {
+        ctx.fillStyle = '#000'; ctx.fillRect(0, 0, W, H)
+        if (!this.cols) return
+        this.paintPending()
+        const cap = this.capacity, rowH = H / cap, spanHz = binHz * this.cols
+        const xOf = f => ((f - loHz) / spanHz) * W
+        const yOf = t => { const r = this.rowsAgo(t); return r === null ? null : Math.max(0, r) * rowH }
+
+        // Ring image, flipped so the newest row is on top: newest slot p0 at the top, wrapping
+        const p0 = cap - 1 - (this.count - 1) % cap
+        ctx.imageSmoothingEnabled = false
+        ctx.drawImage(this.canvas, 0, p0, this.cols, cap - p0, 0, 0, W, (cap - p0) * rowH)
+        if (p0 > 0) ctx.drawImage(this.canvas, 0, 0, this.cols, p0, 0, (cap - p0) * rowH, W, p0 * rowH)
+
+        ctx.font = `${8 * scale}px Share Tech Mono`
+        ctx.lineWidth = 1
+        ctx.setLineDash([2 * scale, 4 * scale])
+        ctx.strokeStyle = 'rgba(0,212,255,0.35)'
+        for (const f of tones) { const x = xOf(f); ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke() }
+        ctx.strokeStyle = 'rgba(255,200,50,0.5)'
+        for (const f of preambleTones) { const x = xOf(f); ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke() }
+        ctx.setLineDash([])
+        this.drawAxes(ctx, W, H, loHz, spanHz, scale)
+
+        for (const m of this.marks) {
+            if (m.kind === 'window') {
+                const y0 = yOf(m.start), y1 = yOf(m.end)
+                if (y0 === null || y1 === null) continue
+                ctx.strokeStyle = m.header ? 'rgba(255,107,53,0.55)' : 'rgba(57,255,20,0.35)'
+                ctx.beginPath(); ctx.moveTo(0, y0); ctx.lineTo(W, y0); ctx.stroke()
+                const yMid = (y0 + y1) / 2 + 3 * scale
+                if (m.present) {
+                    if (tones[m.symbol] === undefined) continue
+                    ctx.fillStyle = m.header ? '#ff6b35' : '#39ff14'
+                    ctx.fillText(label(m.symbol, m.header), xOf(tones[m.symbol]) + 3 * scale, yMid)
+                } else {
+                    ctx.fillStyle = 'rgba(200,232,240,0.5)'
+                    ctx.fillText('·', 3 * scale, yMid)
+                }
+            } else {
+                const y = yOf(m.time)
+                if (y === null) continue
+                ctx.strokeStyle = m.kind === 'data' ? '#39ff14' : '#ffc832'
+                ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke()
+                ctx.fillStyle = ctx.strokeStyle
+                ctx.fillText(m.kind === 'data' ? 'DATA' : m.label || 'PREAMBLE', W - 70 * scale, y - 3 * scale)
+            }
+        }
+    }
+
+    // kHz along the bottom, seconds ago down the left
+    drawAxes(ctx, W, H, loHz, spanHz, scale) {
+        ctx.fillStyle = 'rgba(200,232,240,0.6)'
+        for (let k = Math.floor(loHz / 1000) + 1; k * 1000 < loHz + spanHz; k++)
+            ctx.fillText(`${k}k`, ((k * 1000 - loHz) / spanHz) * W + 2 * scale, H - 3 * scale)
+        const tNewest = this.times[(this.count - 1) % this.capacity]
+        for (let k = 1; ; k++) {
+            const r = this.rowsAgo(tNewest - k)
+            if (r === null) break
+            const y = r * H / this.capacity
+            ctx.fillRect(0, y, 6 * scale, 1)
+            ctx.fillText(`−${k}s`, 8 * scale, y + 3 * scale)
+        }
+    }
+
+    paintPending() {
+        if (!this.canvas || this.canvas.width !== this.cols || this.canvas.height !== this.capacity) {
+            this.canvas = document.createElement('canvas')
+            this.canvas.width = this.cols; this.canvas.height = this.capacity
+        }
+        const g = this.canvas.getContext('2d')
+        const img = g.createImageData(this.cols, 1)
+        for (const { slot, row } of this.pending) {
+            for (let i = 0; i < row.length; i++) {
+                const p = row[i] * 3
+                img.data[i * 4] = PALETTE[p]; img.data[i * 4 + 1] = PALETTE[p + 1]; img.data[i * 4 + 2] = PALETTE[p + 2]
+                img.data[i * 4 + 3] = 255
+            }
+            g.putImageData(img, 0, this.capacity - 1 - slot)
+        }
+        this.pending = []
+    }
+}
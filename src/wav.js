@@ -0,0 +1,25 @@
+// ══════════════════════════════════════════════════════════
+// WAV
+// Mono 16-bit PCM RIFF/WAVE writer for exported transmissions.
+// Reading goes through decodeAudioData, which handles WAV and more.
+// ══════════════════════════════════════════════════════════
+
+export function encodeWav(samples, sampleRate) {
+    const buf = new ArrayBuffer(44 + samples.length * 2)
+    const v = new DataView(buf)
+    const str = (off, s) => { for (let i = 0; i < s.length; i++) v.setUint8(off + i, s.charCodeAt(i)) }
+    str(0, 'RIFF'); v.setUint32(4, 36 + samples.length * 2, true); str(8, 'WAVE')
+    str(12, 'fmt '); v.setUint32(16, 16, true)
+    v.setUint16(20, 1, true)                 // PCM
+    v.setUint16(22, 1, true)                 // mono
+    v.setUint32(24, sampleRate, true)
+    v.setUint32(28, sampleRate * 2, true)    // byte rate
+    v.setUint16(32, 2, true)                 // block align
+    v.setUint16(34, 16, true)                // bits per sample
+    str(36, 'data'); v.setUint32(40, samples.length * 2, true)
+    for (let i = 0; i < samples.length; i++) {
+        const x = Math.max(-1, Math.min(1, samples[i]))
+        v.setInt16(44 + i * 2, x < 0 ? x * 0x8000 : x * 0x7fff, true)
+    }
+    return buf
+}
@@ -0,0 +1,61 @@
+// ══════════════════════════════════════════════════════════
+// ZIP WRITER
+// Minimal uncompressed ("stored") ZIP archive, enough to bundle
+// exported receptions; every unzip tool and OS can open it.
+// ══════════════════════════════════════════════════════════
+
+import { crc32 } from './packet.js'
+
+const UTF8_NAMES = 0x0800   // general-purpose flag bit 11: file names are UTF-8
+
+// MS-DOS date and time words of a JS timestamp (local time, 2-second resolution)
+function dosDateTime(ms) {
+    const d = new Date(ms)
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1)
+    const date = (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    return { time, date }
+}
+
+// files: [{ name, bytes, time }] (time in ms, defaults to now) → the archive's bytes
+export function zipStore(files) {
+    const enc = new TextEncoder()
+    const local = [], central = []
+    let offset = 0
+    for (const f of files) {
+        const name = enc.encode(f.name)
+        const { time, date } = dosDateTime(f.time ?? Date.now())
+        const crc = crc32(f.bytes)
+        const head = new Uint8Array(30 + name.length)
+        const h = new DataView(head.buffer)
+        h.setUint32(0, 0x04034b50, true)
+        h.setUint16(4, 20, true); h.setUint16(6, UTF8_NAMES, true); h.setUint16(8, 0, true)
+        h.setUint16(10, time, true); h.setUint16(12, date, true)
+        h.setUint32(14, crc, true); h.setUint32(18, f.bytes.length, true); h.setUint32(22, f.bytes.length, true)
+        h.setUint16(26, name.length, true)
+        head.set(name, 30)
+
+        const entry = new Uint8Array(46 + name.length)
+        const c = new DataView(entry.buffer)
+        c.setUint32(0, 0x02014b50, true)
+        c.setUint16(4, 20, true); c.setUint16(6, 20, true); c.setUint16(8, UTF8_NAMES, true); c.setUint16(10, 0, true)
+        c.setUint16(12, time, true); c.setUint16(14, date, true)
+        c.setUint32(16, crc, true); c.setUint32(20, f.bytes.length, true); c.setUint32(24, f.bytes.length, true)
+        c.setUint16(28, name.length, true)
+        c.setUint32(42, offset, true)
+        entry.set(name, 46)
+
+        local.push(head, f.bytes); central.push(entry)
+        offset += head.length + f.bytes.length
+    }
+    const centralSize = central.reduce((n, e) => n + e.length, 0)
+    const end = new Uint8Array(22)
+    const e = new DataView(end.buffer)
+    e.setUint32(0, 0x06054b50, true)
+    e.setUint16(8, files.length, true); e.setUint16(10, files.length, true)
+    e.setUint32(12, centralSize, true); e.setUint32(16, offset, true)
+
+    const out = new Uint8Array(offset + centralSize + end.length)
+    let pos = 0
+    for (const part of [...local, ...central, end]) { out.set(part, pos); pos += part.length }
+    return out
+}
@@ -0,0 +1,132 @@
+// ARQ over a simulated half-duplex link: two modem instances (sender and receiver, each with
+// its own Receiver) share one channel, so ACK frames travel over audio just as data does.
+// Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT, TYPE_ACK, FLAG_ACK_REQ, parseHeader } from '../src/packet.js'
+import { DEFAULT_CONFIG, SEGMENT_GAP_MS, Receiver, renderFrame } from '../src/modem.js'
+import { TransferReassembler } from '../src/transfer.js'
+import { ArqSender, ACK_TURNAROUND_MS, encodeAck, ackBitmap, readAckBitmap } from '../src/arq.js'
+import { noise } from './helpers.js'
+
+const RATE = 48000
+const CONFIG = { ...DEFAULT_CONFIG, symDuration: 30, order: 32 }
+const PAYLOAD = new TextEncoder().encode('Segments lost on the way are asked for again, and only those.')
+const SEGMENT_BYTES = 16
+
+// Runs one transfer to the end. dropSegment(index, round) and dropAck(n) (n counts ACKs from 1)
+// return true to silence that transmission on the air.
+function runLink({ dropSegment = () => false, dropAck = () => false, maxTries = 4 } = {}) {
+    const air = []        // { start, pcm } in samples
+    let n = 0, acks = 0
+    const ms = () => n / RATE * 1000
+    const transmit = (pcm, start) => air.push({ start, pcm })
+    const events = []
+
+    const sender = new ArqSender({
+        config: CONFIG, type: TYPE_TEXT, payload: PAYLOAD, segmentBytes: SEGMENT_BYTES, window: 2, maxTries,
+        onEvent: e => events.push(e),
+        send: frames => {
+            const gap = Math.round(SEGMENT_GAP_MS * RATE / 1000)
+            let at = n
+            for (const f of frames) {
+                const pcm = renderFrame(CONFIG, f.symbols, RATE)
+                const index = frames.indexOf(f)
+                if (!dropSegment(sender.missing()[index], sender.round)) transmit(pcm, at)
+                at += pcm.length + gap
+            }
+            return (at - gap - n) / RATE * 1000
+        }
+    })
+    const senderRx = new Receiver(CONFIG, RATE, p => {
+        if (p.status === 'ok' && p.hdr.type === TYPE_ACK) sender.handleAck(p.hdr, p.payload, ms())
+    })
+
+    const reassembler = new TransferReassembler()
+    let received = null
+    const receiverRx = new Receiver(CONFIG, RATE, p => {
+        if (!p.hdr || p.hdr.type === TYPE_ACK) return
+        const t = p.status === 'ok' ? reassembler.add(p.hdr, p.payload, p.lowPayload) : reassembler.fail(p.hdr)
+        if (t.complete) received = t
+        if (p.hdr.flags & FLAG_ACK_REQ && !dropAck(++acks)) {
+            transmit(renderFrame(CONFIG, encodeAck(CONFIG, t).symbols, RATE), n + Math.round(ACK_TURNAROUND_MS * RATE / 1000))
+        }
+    })
+
+    // Half a second of quiet first, so both receivers have learned the noise floor
+    const block = new Float32Array(128)
+    const rand = noise(1)
+    while ((sender.state === 'idle' || sender.state === 'waiting') && n < RATE * 600) {
+        if (sender.state === 'idle' && n >= RATE / 2) sender.start(ms())
+        for (let i = 0; i < 128; i++) block[i] = 0.01 * rand()
+        for (const { start, pcm } of air) {
+            for (let i = Math.max(0, start - n); i < 128 && n + i - start < pcm.length; i++) block[i] += pcm[n + i - start]
+        }
+        senderRx.process(block); receiverRx.process(block)
+        n += 128
+        sender.tick(ms())
+    }
+    return { sender, events, received }
+}
+
+test('ACK bitmaps round-trip', () => {
+    const t = { count: 11, parts: [1, 0, 1, 1, 0, 0, 0, 0, 0, 1, 0].map(Boolean) }
+    assert.deepEqual(readAckBitmap(ackBitmap(t), 11), t.parts)
+})
+
+test('a clean link delivers in one round per window', () => {
+    const { sender, events, received } = runLink()
+    assert.equal(sender.state, 'done')
+    assert.equal(sender.count, 4)
+    assert.deepEqual(events.filter(e => e.type === 'window').map(e => e.segments), [[0, 1], [2, 3]])
+    assert.deepEqual(received.payload, PAYLOAD)
+})
+
+test('only the lost segment is sent again', () => {
+    const { sender, events, received } = runLink({ dropSegment: (i, round) => i === 0 && round === 1 })
+    assert.equal(sender.state, 'done')
+    assert.deepEqual(events.filter(e => e.type === 'window').map(e => e.segments), [[0, 1], [0, 2], [3]])
+    assert.deepEqual(sender.tries, [2, 1, 1, 1])
+    assert.deepEqual(received.payload, PAYLOAD)
+})
+
+test('a lost ACK request times out and the window is resent', () => {
+    const { sender, events, received } = runLink({ dropSegment: (i, round) => i === 1 && round === 1 })
+    assert.equal(sender.state, 'done')
+    assert.equal(events.filter(e => e.type === 'timeout').length, 1)
+    assert.deepEqual(events.filter(e => e.type === 'window').map(e => e.segments), [[0, 1], [0, 1], [2, 3]])
+    assert.deepEqual(received.payload, PAYLOAD)
+})
+
+test('a lost ACK times out and the window is resent', () => {
+    const { sender, events, received } = runLink({ dropAck: k => k === 1 })
+    assert.equal(sender.state, 'done')
+    assert.equal(events.filter(e => e.type === 'timeout').length, 1)
+    assert.deepEqual(events.filter(e => e.type === 'window').map(e => e.segments), [[0, 1], [0, 1], [2, 3]])
+    assert.deepEqual(received.payload, PAYLOAD)
+})
+
+test('the transfer is given up after the retry limit', () => {
+    const { sender, events } = runLink({ dropSegment: () => true, maxTries: 2 })
+    assert.equal(sender.state, 'failed')
+    assert.equal(events.filter(e => e.type === 'timeout').length, 2)
+    assert.deepEqual(events.at(-1), { type: 'failed', missing: [0, 1, 2, 3] })
+})
+
+test('an addressed sender only counts ACKs from its recipient, sent back to it', () => {
+    const events = []
+    const sender = new ArqSender({
+        config: CONFIG, type: TYPE_TEXT, payload: PAYLOAD, segmentBytes: SEGMENT_BYTES, window: 4,
+        addr: { src: 5, dst: 9, channel: 2 }, send: () => 100, onEvent: e => events.push(e)
+    })
+    sender.start(0)
+    const held = { id: sender.transferId, count: sender.count, parts: sender.parts, src: 5, channel: 2 }
+    const ack = id => [parseHeader(encodeAck(CONFIG, held, id).frame), ackBitmap(held)]
+    const [fromOther, otherBits] = ack(7)
+    assert.deepEqual([fromOther.src, fromOther.dst, fromOther.channel], [7, 5, 2])
+    sender.handleAck(fromOther, otherBits, 10)
+    sender.handleAck({ ...fromOther, src: 9, dst: 6 }, otherBits, 10)   // the recipient, answering someone else
+    assert.equal(events.filter(e => e.type === 'ack').length, 0)
+    sender.handleAck(...ack(9), 10)
+    assert.equal(sender.state, 'done')
+})
@@ -0,0 +1,98 @@
+// Band plans: sub-bands that keep apart, and links on different sub-bands on the air at the
+// same time, each decoded by its own receiver from the one mixed signal. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT } from '../src/packet.js'
+import { DEFAULT_CONFIG, PRE_TONE_A, PRE_TONE_B, MAX_TONE_FRAC, demodulate, demodulatorOptions, modulate, toneLadder, rxLadderOrder } from '../src/modem.js'
+import {
+    BAND_PLANS, BAND_ORDER, ULTRASONIC_GUARD_HZ, bandPlan, profilePlan, bandConfig, bandFits, minSampleRate, subBand
+} from '../src/bands.js'
+import { noiseBed } from './helpers.js'
+
+const RATE = 48000
+const CONFIG = { ...DEFAULT_CONFIG, symDuration: 60 }
+
+// Sum of the transmissions, each at its own start (samples), over half a second of noise either side
+function mix(parts) {
+    const lead = RATE / 2
+    const len = Math.max(...parts.map(({ pcm, at }) => at + pcm.length))
+    const out = noiseBed(len + 2 * lead, 0.01, 11)
+    for (const { pcm, at } of parts) for (let i = 0; i < pcm.length; i++) out[lead + at + i] += pcm[i] / parts.length
+    return out
+}
+
+test('a sub-band from 1000 Hz at 200 Hz is the full band\'s own layout', () => {
+    const band = subBand(1000, 200)
+    assert.deepEqual(band.preambleFreqs, [PRE_TONE_A, PRE_TONE_B])
+    const opts = demodulatorOptions(bandConfig(CONFIG, band), RATE)
+    assert.equal(opts.dataFreqs.length, BAND_ORDER)
+    assert.equal(opts.legacy, null)
+    assert.deepEqual(opts.chirp, { f0: 1000, f1: PRE_TONE_B, durationMs: opts.chirp.durationMs })
+})
+
+test('the sub-bands of every plan keep apart and fit the usual sample rates', () => {
+    assert.equal(bandPlan('nope').id, 'full')
+    for (const plan of BAND_PLANS.filter(p => p.bands)) {
+        plan.bands.forEach((band, i) => {
+            const ladder = toneLadder(band, BAND_ORDER)
+            assert.ok(ladder[BAND_ORDER - 1] < band.preambleFreqs[0], `${plan.id} ${band.label}`)
+            assert.equal(rxLadderOrder(bandConfig(CONFIG, band), RATE), BAND_ORDER)
+            assert.ok(bandFits(band, 44100), `${plan.id} ${band.label} at 44.1 kHz`)
+            const next = plan.bands[i + 1]
+            if (next) assert.ok(band.preambleFreqs[1] + band.freqSpacing < next.baseFreq, `${plan.id}: ${band.label} / ${next.label}`)
+        })
+    }
+    assert.equal(bandFits(subBand(20000, 125), 44100), false)
+})
+
+test('a config is capped at its band\'s order', () => {
+    const [band] = bandPlan('split2').bands
+    const cfg = bandConfig({ ...CONFIG, order: 64 }, band)
+    assert.equal(cfg.order, BAND_ORDER)
+    assert.equal(cfg.band, band.id)
+    assert.equal(bandConfig(CONFIG, null), CONFIG)
+})
+
+test('four links on one 1–8 kHz plan share the air and each band decodes its own', () => {
+    const { bands } = bandPlan('split4')
+    const texts = bands.map((b, i) => new TextEncoder().encode(`link ${i + 1} on ${b.label}`))
+    // Staggered starts, so preambles and data overlap in every combination
+    const air = mix(bands.map((b, i) => ({ pcm: modulate(bandConfig(CONFIG, b), RATE, TYPE_TEXT, texts[i]), at: i * RATE / 5 })))
+    bands.forEach((band, i) => {
+        const packets = demodulate(bandConfig(CONFIG, band), RATE, air)
+        assert.deepEqual(packets.map(p => p.status), ['ok'], band.label)
+        assert.deepEqual(packets[0].payload, texts[i])
+    })
+})
+
+test('the near-ultrasonic band carries a link alongside the audible ones', () => {
+    const { bands } = bandPlan('split2-us')
+    const texts = bands.map((b, i) => new TextEncoder().encode(`band ${i}`))
+    const air = mix(bands.map((b, i) => ({ pcm: modulate(bandConfig(CONFIG, b), RATE, TYPE_TEXT, texts[i]), at: 0 })))
+    bands.forEach((band, i) => {
+        const [p] = demodulate(bandConfig(CONFIG, band), RATE, air)
+        assert.equal(p?.status, 'ok', band.label)
+        assert.deepEqual(p.payload, texts[i])
+    })
+})
+
+test('the quiet profile keeps everything at 17–20 kHz, with room to spare under Nyquist', () => {
+    assert.equal(profilePlan('audible', 'split4'), bandPlan('split4'))
+    const { bands: [band] } = profilePlan('quiet', 'split4')
+    const cfg = bandConfig(CONFIG, band)
+    const tones = [...toneLadder(cfg, cfg.order), ...cfg.preambleFreqs, cfg.chirp.f0, cfg.chirp.f1]
+    assert.ok(Math.min(...tones) >= 17000 && Math.max(...tones) <= 20000, tones.join(' '))
+    // The guard, not MAX_TONE_FRAC, sets the lowest rate: 44.1 and 48 kHz, but not 32 kHz or just under 44.1
+    const top = band.preambleFreqs[1]
+    assert.equal(minSampleRate(band), 2 * (top + ULTRASONIC_GUARD_HZ) + 1)
+    assert.ok(minSampleRate(band) > top / MAX_TONE_FRAC)
+    assert.ok(bandFits(band, 44100) && bandFits(band, 48000))
+    assert.ok(!bandFits(band, 43000) && !bandFits(band, 32000))
+    // The modem itself holds the same line, below MAX_TONE_FRAC's
+    assert.throws(() => modulate(cfg, minSampleRate(band) - 1, TYPE_TEXT, new Uint8Array(4)), RangeError)
+
+    const text = new TextEncoder().encode('quietly, please')
+    const [p] = demodulate(cfg, 44100, mix([{ pcm: modulate(cfg, 44100, TYPE_TEXT, text), at: 0 }]))
+    assert.equal(p?.status, 'ok')
+    assert.deepEqual(p.payload, text)
+})
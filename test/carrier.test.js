@@ -0,0 +1,75 @@
+// Listen-before-talk: carrier sense on the spectra an AnalyserNode would give for a real
+// transmission, and the backoff and timeout of a wait for the channel. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT } from '../src/packet.js'
+import { DEFAULT_CONFIG, PRE_TONE_A, encodeTransfer, renderTransfer } from '../src/modem.js'
+import { fft } from '../src/fft.js'
+import { LBT_QUIET_MS, LBT_SLOT_MS, CarrierSense, ChannelWait, senseBands } from '../src/carrier.js'
+import { onAir } from './helpers.js'
+
+const RATE = 48000
+const FFT = 4096, HOP = 1024
+const CONFIG = { ...DEFAULT_CONFIG, symDuration: 40 }
+
+// dB spectra of Hann-windowed FFT-sample blocks every HOP samples, each stamped (ms) at its end
+function spectra(pcm) {
+    const out = []
+    for (let end = FFT; end <= pcm.length; end += HOP) {
+        const re = new Float64Array(FFT), im = new Float64Array(FFT)
+        for (let i = 0; i < FFT; i++) re[i] = pcm[end - FFT + i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT))
+        fft(re, im)
+        const db = Float32Array.from({ length: FFT / 2 }, (_, k) => 20 * Math.log10(Math.hypot(re[k], im[k]) / FFT + 1e-12))
+        out.push({ t: end / RATE * 1000, db })
+    }
+    return out
+}
+
+test('a transmission keeps the channel busy from its preamble to its last symbol', () => {
+    const pcm = renderTransfer(CONFIG, encodeTransfer(CONFIG, TYPE_TEXT, new TextEncoder().encode('anyone there?')), RATE)
+    const startMs = 1000, endMs = 1000 + pcm.length / RATE * 1000
+    const sense = new CarrierSense(senseBands(CONFIG, RATE), 12)
+    const binHz = RATE / FFT
+    for (const { t, db } of spectra(onAir(pcm, RATE, { seed: 3, lead: RATE, tail: 2 * RATE }))) {
+        const busy = sense.update(db, binHz, t)
+        if (t < startMs) assert.equal(busy, false, `noise at ${t.toFixed(0)} ms`)
+        else if (t > startMs + 100 && t < endMs) assert.equal(busy, true, `signal at ${t.toFixed(0)} ms`)
+        else if (t > endMs + FFT / RATE * 1000 + 50) assert.equal(busy, false, `noise at ${t.toFixed(0)} ms`)
+    }
+    assert.ok(sense.lastBusy > endMs - 50 && sense.lastBusy < endMs + 150, `${sense.lastBusy} / ${endMs}`)
+})
+
+test('a preamble tone alone is enough to hold the channel', () => {
+    const bands = senseBands(CONFIG, RATE)
+    assert.ok(bands.some(b => b.lo < PRE_TONE_A && b.hi > PRE_TONE_A))
+    const binHz = 10
+    const sense = new CarrierSense(bands, 12)
+    const quiet = new Float32Array(2400).fill(-90)
+    for (let t = 0; t < 1000; t += 20) assert.equal(sense.update(quiet, binHz, t), false)
+    const tone = quiet.slice(); tone[PRE_TONE_A / binHz] = -40
+    assert.equal(sense.update(tone, binHz, 1000), true)
+    assert.equal(sense.update(quiet, binHz, 1020), false)
+    assert.equal(sense.lastBusy, 1000)
+})
+
+test('a wait clears after the quiet period plus backoff, and restarts when the channel is taken again', () => {
+    const sense = { lastBusy: 0 }
+    const wait = new ChannelWait(sense, 0, { rand: () => 0.99, timeoutMs: 20000 })
+    assert.equal(wait.check(100), 'busy')
+    const first = wait.backoffMs
+    assert.ok(first >= LBT_QUIET_MS + LBT_SLOT_MS)
+    // Another station starts before the backoff ran out: a new spell, a wider window
+    sense.lastBusy = LBT_QUIET_MS + 50
+    assert.equal(wait.check(sense.lastBusy), 'busy')
+    assert.ok(wait.backoffMs > first)
+    assert.equal(wait.check(sense.lastBusy + wait.backoffMs - 1), 'busy')
+    assert.equal(wait.check(sense.lastBusy + wait.backoffMs), 'clear')
+})
+
+test('a channel that never clears times out', () => {
+    const sense = { lastBusy: 0 }
+    const wait = new ChannelWait(sense, 0, { timeoutMs: 5000 })
+    for (let t = 0; t < 5000; t += 100) { sense.lastBusy = t; assert.equal(wait.check(t), 'busy') }
+    sense.lastBusy = 5000
+    assert.equal(wait.check(5000), 'timeout')
+})
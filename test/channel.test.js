@@ -0,0 +1,72 @@
+// Channel simulator: each impairment does what it claims on a plain tone, and a sweep trial
+// over a clean channel decodes. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_CONFIG } from '../src/modem.js'
+import { CHANNEL_DEFAULTS, resample, shiftFrequency, roomImpulse, simulateChannel } from '../src/channel.js'
+import { runTrial, sweepValues } from '../src/sweep.js'
+
+const RATE = 48000
+
+function tone(hz, seconds) {
+    return Float32Array.from({ length: RATE * seconds }, (_, n) => Math.sin(2 * Math.PI * hz * n / RATE))
+}
+
+// Frequency of a clean tone from its rising zero crossings, edges trimmed
+function measureHz(pcm) {
+    const cut = pcm.subarray(2000, pcm.length - 2000)
+    let first = -1, last = -1, count = 0
+    for (let n = 1; n < cut.length; n++) {
+        if (cut[n - 1] < 0 && cut[n] >= 0) {
+            const t = n - 1 + cut[n - 1] / (cut[n - 1] - cut[n])
+            if (first < 0) first = t
+            last = t; count++
+        }
+    }
+    return (count - 1) * RATE / (last - first)
+}
+
+function rms(pcm) {
+    return Math.sqrt(pcm.reduce((s, v) => s + v * v, 0) / pcm.length)
+}
+
+test('frequency offset shifts a tone by the given Hz', () => {
+    assert.ok(Math.abs(measureHz(shiftFrequency(tone(2000, 0.5), 37, RATE)) - 2037) < 0.5)
+    assert.ok(Math.abs(measureHz(shiftFrequency(tone(2000, 0.5), -80, RATE)) - 1920) < 0.5)
+})
+
+test('clock drift scales a tone and shortens the signal', () => {
+    const out = resample(tone(3000, 0.5), 1 + 1000e-6)
+    assert.ok(Math.abs(measureHz(out) - 3003) < 0.5)
+    assert.ok(Math.abs(out.length - RATE * 0.5 / 1.001) < 2)
+})
+
+test('room impulse carries the requested tail energy', () => {
+    assert.deepEqual(Array.from(roomImpulse(RATE, 0, -10)), [1])
+    const ir = roomImpulse(RATE, 500, -6)
+    const tail = ir.subarray(1).reduce((s, v) => s + v * v, 0)
+    assert.ok(Math.abs(10 * Math.log10(tail) + 6) < 0.01)
+})
+
+test('noise levels are in dBFS RMS and runs are repeatable', () => {
+    const silence = new Float32Array(RATE)
+    const white = simulateChannel(silence, RATE, { ...CHANNEL_DEFAULTS, whiteDb: -20 }, 7)
+    const pink = simulateChannel(silence, RATE, { ...CHANNEL_DEFAULTS, whiteDb: -100, pinkDb: -20 }, 7)
+    assert.ok(Math.abs(20 * Math.log10(rms(white)) + 20) < 0.5)
+    assert.ok(Math.abs(20 * Math.log10(rms(pink)) + 20) < 1.5)
+    assert.deepEqual(simulateChannel(silence, RATE, { ...CHANNEL_DEFAULTS, whiteDb: -20 }, 7), white)
+})
+
+test('a clean channel trial decodes without bit errors', () => {
+    const config = { ...DEFAULT_CONFIG, symDuration: 60 }
+    const t = runTrial(config, CHANNEL_DEFAULTS, RATE, 24, 3)
+    assert.equal(t.ok, true)
+    assert.equal(t.bitErrors, 0)
+    assert.ok(t.bits > 24 * 8)
+})
+
+test('sweep values are evenly spaced and snapped to the step', () => {
+    assert.deepEqual(sweepValues(-40, 0, 5), [-40, -30, -20, -10, 0])
+    assert.deepEqual(sweepValues(0, 2000, 3, 50), [0, 1000, 2000])
+    assert.deepEqual(sweepValues(12, 30, 1), [12])
+})
@@ -0,0 +1,68 @@
+// Payload compression: round trips, the only-when-smaller rule, damaged streams, low-confidence
+// marks carried through, and a compressed transfer through the modem. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT, FLAG_COMPRESSED } from '../src/packet.js'
+import { DEFAULT_CONFIG, demodulate, encodeTransfer, renderTransfer } from '../src/modem.js'
+import { TransferReassembler } from '../src/transfer.js'
+import { compress, decompress, packPayload } from '../src/compress.js'
+import { onAir } from './helpers.js'
+
+const utf8 = s => new TextEncoder().encode(s)
+const MESSAGE = utf8('Meet at the north gate at 5 pm tomorrow, bring water and the spare battery. Over.')
+
+test('text, binary and empty payloads round-trip', () => {
+    const binary = Uint8Array.from({ length: 3000 }, (_, i) => (i * i * 31 + (i >> 3)) & 0xff)
+    const repeated = utf8('ünïcode ✓ '.repeat(200))
+    for (const bytes of [MESSAGE, binary, repeated, new Uint8Array(0), utf8('a')])
+        assert.deepEqual(decompress(compress(bytes)), bytes)
+})
+
+test('short English messages shrink; noise is sent raw', () => {
+    const packed = packPayload(MESSAGE)
+    assert.equal(packed.flags, FLAG_COMPRESSED)
+    assert.ok(packed.payload.length < MESSAGE.length * 0.7, `${MESSAGE.length} → ${packed.payload.length}`)
+    assert.ok(packPayload(utf8('Hello World!')).payload.length < 12)
+
+    let s = 5
+    const noise = Uint8Array.from({ length: 400 }, () => (s = (s * 1664525 + 1013904223) >>> 0) >>> 24)
+    assert.deepEqual(packPayload(noise), { payload: noise, flags: 0 })
+})
+
+test('a truncated or garbled stream is rejected, never thrown', () => {
+    const packed = compress(MESSAGE)
+    assert.equal(decompress(packed.subarray(0, packed.length - 4)), null)
+    assert.equal(decompress(new Uint8Array(0)), null)
+    assert.equal(decompress(Uint8Array.of(0xff, 0xff, 0xff, 0xff, 0x7f)), null)
+    for (let i = 1; i < packed.length; i++) {
+        const bad = packed.slice(); bad[i] ^= 0x5a
+        assert.doesNotThrow(() => decompress(bad))
+    }
+})
+
+test('low-confidence marks follow the bytes they produced', () => {
+    const packed = compress(MESSAGE)
+    const clean = decompress(packed, Array(packed.length).fill(false))
+    assert.deepEqual(clean.bytes, MESSAGE)
+    assert.equal(clean.low.filter(Boolean).length, 0)
+    const low = Array(packed.length).fill(false); low[packed.length - 1] = true
+    const marked = decompress(packed, low)
+    assert.ok(marked.low[MESSAGE.length - 1])
+    assert.ok(!marked.low[0])
+})
+
+test('a compressed transfer crosses the modem and inflates', () => {
+    const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 40 }
+    const { payload, flags } = packPayload(MESSAGE)
+    const pcm = renderTransfer(config, encodeTransfer(config, TYPE_TEXT, payload, 0, 0, 77, flags), sampleRate)
+
+    const reassembler = new TransferReassembler()
+    let t = null
+    for (const p of demodulate(config, sampleRate, onAir(pcm, sampleRate, { seed: 3 }))) {
+        assert.equal(p.status, 'ok', p.reason)
+        t = reassembler.add(p.hdr, p.payload, p.lowPayload)
+    }
+    assert.equal(t.complete, true)
+    assert.ok(t.flags & FLAG_COMPRESSED)
+    assert.deepEqual(decompress(t.payload), MESSAGE)
+})
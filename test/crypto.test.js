@@ -0,0 +1,38 @@
+// Passphrase sealing: a sealed payload opens only with the same passphrase, packet type and
+// untouched bytes, and every seal has its own salt and nonce. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT, TYPE_FILE } from '../src/packet.js'
+import { encryptPayload, decryptPayload, SEAL_HEADER_LEN, SEAL_OVERHEAD } from '../src/crypto.js'
+
+const MESSAGE = new TextEncoder().encode('Meet at the north gate at 5 pm.')
+const PASS = 'correct horse battery staple'
+
+test('the right passphrase opens a sealed payload', async () => {
+    const sealed = await encryptPayload(PASS, MESSAGE, TYPE_TEXT)
+    assert.equal(sealed.length, MESSAGE.length + SEAL_OVERHEAD)
+    assert.deepEqual(await decryptPayload(PASS, sealed, TYPE_TEXT), MESSAGE)
+    assert.deepEqual(await decryptPayload(PASS, await encryptPayload(PASS, new Uint8Array(0), TYPE_TEXT), TYPE_TEXT), new Uint8Array(0))
+})
+
+test('a wrong or missing passphrase gives null, not garbage', async () => {
+    const sealed = await encryptPayload(PASS, MESSAGE, TYPE_TEXT)
+    assert.equal(await decryptPayload('correct horse battery stapler', sealed, TYPE_TEXT), null)
+    assert.equal(await decryptPayload('', sealed, TYPE_TEXT), null)
+})
+
+test('altered bytes, a relabelled type or a short payload are refused', async () => {
+    const sealed = await encryptPayload(PASS, MESSAGE, TYPE_TEXT)
+    for (const i of [0, 20, sealed.length - 1]) {
+        const bad = sealed.slice(); bad[i] ^= 1
+        assert.equal(await decryptPayload(PASS, bad, TYPE_TEXT), null)
+    }
+    assert.equal(await decryptPayload(PASS, sealed, TYPE_FILE), null)
+    assert.equal(await decryptPayload(PASS, sealed.subarray(0, SEAL_OVERHEAD - 1), TYPE_TEXT), null)
+})
+
+test('each seal draws a fresh salt and nonce', async () => {
+    const a = await encryptPayload(PASS, MESSAGE, TYPE_TEXT), b = await encryptPayload(PASS, MESSAGE, TYPE_TEXT)
+    assert.notDeepEqual(a.subarray(0, SEAL_HEADER_LEN), b.subarray(0, SEAL_HEADER_LEN))
+    assert.notDeepEqual(a.subarray(SEAL_HEADER_LEN), b.subarray(SEAL_HEADER_LEN))
+})
@@ -0,0 +1,37 @@
+// The demodulator's detection threshold: tones count as present by their SNR over the noise
+// floor learned while idle, against the configured margin. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT } from '../src/packet.js'
+import { DEFAULT_CONFIG, demodulatorOptions, modulate } from '../src/modem.js'
+import { Demodulator } from '../src/demodulator.js'
+import { onAir } from './helpers.js'
+
+const RATE = 48000
+const CONFIG = { ...DEFAULT_CONFIG, symDuration: 60 }
+
+// A quiet transmission: half a second of noise, the packet well down in it, more noise
+function faintPacket() {
+    const pcm = modulate(CONFIG, RATE, TYPE_TEXT, new TextEncoder().encode('just above the hiss'))
+    return onAir(pcm.map(v => 0.02 * v), RATE, { level: 0.05, seed: 4 })
+}
+
+function listen(pcm, snrMargin) {
+    const events = []
+    const demod = new Demodulator({ ...demodulatorOptions({ ...CONFIG, snrMargin }, RATE), onEvent: e => events.push(e) })
+    for (let i = 0; i < pcm.length; i += 128) demod.process(pcm.subarray(i, i + 128))
+    return events
+}
+
+test('a preamble below the SNR margin does not lock; the same one above it does', () => {
+    const pcm = faintPacket()
+    // With a margin nothing reaches, the receiver stays idle and reports every hop's A/B SNR
+    const levels = listen(pcm, 99).filter(e => e.type === 'level')
+    const peak = Math.max(...levels.map(e => Math.max(e.a, e.b)))
+    assert.ok(peak > 6 && peak < 40, `preamble peaks at ${peak.toFixed(1)} dB`)
+
+    assert.equal(listen(pcm, peak + 3).filter(e => e.type === 'preamble').length, 0)
+    const locked = listen(pcm, peak - 6).filter(e => e.type === 'preamble')
+    assert.equal(locked.length, 1)
+    assert.equal(locked[0].kind, 'tones')
+})
@@ -0,0 +1,51 @@
+// FILE payloads: the metadata block round-trips, long names keep their extension, damage is
+// caught, and a file survives the headless modem with its name intact. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_FILE } from '../src/packet.js'
+import { DEFAULT_CONFIG, modulate, demodulate } from '../src/modem.js'
+import { encodeFilePayload, decodeFilePayload, formatBytes } from '../src/file.js'
+import { onAir } from './helpers.js'
+
+const BYTES = Uint8Array.from({ length: 40 }, (_, i) => (i * 37 + 11) & 0xff)
+
+test('name, MIME type and bytes round-trip', () => {
+    const f = decodeFilePayload(encodeFilePayload({ name: 'résumé.pdf', mime: 'application/pdf', bytes: BYTES }))
+    assert.equal(f.name, 'résumé.pdf')
+    assert.equal(f.mime, 'application/pdf')
+    assert.equal(f.size, BYTES.length)
+    assert.deepEqual(f.bytes, BYTES)
+    assert.equal(decodeFilePayload(encodeFilePayload({ name: 'x', mime: '', bytes: BYTES })).mime, 'application/octet-stream')
+})
+
+test('an over-long name is cut to 255 bytes and keeps its extension', () => {
+    const name = 'ü'.repeat(300) + '.tar.gz'
+    const f = decodeFilePayload(encodeFilePayload({ name, mime: 'application/gzip', bytes: BYTES }))
+    assert.ok(new TextEncoder().encode(f.name).length <= 255)
+    assert.ok(f.name.endsWith('.gz'))
+    assert.ok(!f.name.includes('�'))
+})
+
+test('a truncated or inconsistent payload is rejected', () => {
+    const payload = encodeFilePayload({ name: 'a.bin', mime: 'application/octet-stream', bytes: BYTES })
+    assert.equal(decodeFilePayload(payload.subarray(0, payload.length - 1)), null)
+    assert.equal(decodeFilePayload(payload.subarray(0, 3)), null)
+    assert.equal(decodeFilePayload(new Uint8Array(0)), null)
+})
+
+test('a file crosses the modem with its metadata', () => {
+    const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 40 }
+    const payload = encodeFilePayload({ name: 'notes.txt', mime: 'text/plain', bytes: BYTES })
+    const [p] = demodulate(config, sampleRate, onAir(modulate(config, sampleRate, TYPE_FILE, payload), sampleRate))
+    assert.equal(p.status, 'ok', p.reason)
+    assert.equal(p.hdr.type, TYPE_FILE)
+    const f = decodeFilePayload(p.payload)
+    assert.equal(f.name, 'notes.txt')
+    assert.deepEqual(f.bytes, BYTES)
+})
+
+test('sizes are formatted for the panel', () => {
+    assert.equal(formatBytes(512), '512 B')
+    assert.equal(formatBytes(2048), '2.0 KB')
+    assert.equal(formatBytes(3 * 1024 * 1024), '3.00 MB')
+})
@@ -0,0 +1,25 @@
+// Shared by the test files: the seeded noise every simulated reception is heard over, so the
+// noise model lives in one place. Not a test file itself.
+
+// Uniform noise in [-0.5, 0.5) from a fixed seed, so every run hears the same channel
+export function noise(seed) {
+    let s = seed >>> 0
+    return () => {
+        s = (s * 1664525 + 1013904223) >>> 0
+        return s / 2 ** 32 - 0.5
+    }
+}
+
+// length samples of that noise at the given level
+export function noiseBed(length, level = 0.01, seed = 1) {
+    const rand = noise(seed)
+    return Float32Array.from({ length }, () => level * rand())
+}
+
+// pcm over a noise bed: lead samples of noise first (the receiver learns its floor), the
+// transmission, then tail more
+export function onAir(pcm, sampleRate, { level = 0.01, seed = 1, lead = sampleRate / 2, tail = lead } = {}) {
+    const out = noiseBed(pcm.length + lead + tail, level, seed)
+    for (let i = 0; i < pcm.length; i++) out[lead + i] += pcm[i]
+    return out
+}
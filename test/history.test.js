@@ -0,0 +1,73 @@
+// Reception history exports: the ZIP is a valid stored archive, JSON carries the content as
+// base64, and search matches across fields. (IndexedDB itself needs a browser.) Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { crc32 } from '../src/packet.js'
+import { zipStore } from '../src/zip.js'
+import { matchesQuery, entryFileName, exportJson, exportZip } from '../src/history.js'
+
+const CONFIG = { symDuration: 120, baseFreq: 1000, freqSpacing: 100, order: 16, fecRate: '1/2', preamble: 'tone', snrMargin: 8 }
+const TEXT = {
+    id: 7, time: Date.UTC(2026, 3, 2, 10, 30), type: 'TEXT', status: 'ok', size: 11, detail: '✓ RECEIVED', config: CONFIG,
+    corrected: 2, segments: 1, text: 'meet at six', bytes: new TextEncoder().encode('meet at six')
+}
+const FILE = {
+    id: 12, time: Date.UTC(2026, 3, 2, 11, 0), type: 'FILE', status: 'ok', size: 4, detail: '✓ FILE RECEIVED', config: CONFIG,
+    corrected: 0, segments: 3, name: 'map/v2.bin', mime: 'application/octet-stream', bytes: Uint8Array.of(1, 2, 3, 4)
+}
+const LOCKED = { ...TEXT, id: 13, status: 'locked', text: undefined, detail: 'encrypted packet, wrong or missing key' }
+
+// { name: bytes } from a stored ZIP, checking every CRC and the central directory
+function unzip(zip) {
+    const v = new DataView(zip.buffer, zip.byteOffset, zip.byteLength)
+    const end = zip.length - 22
+    assert.equal(v.getUint32(end, true), 0x06054b50)
+    const count = v.getUint16(end + 10, true)
+    let c = v.getUint32(end + 16, true)
+    const files = {}
+    for (let i = 0; i < count; i++) {
+        assert.equal(v.getUint32(c, true), 0x02014b50)
+        const size = v.getUint32(c + 24, true), nameLen = v.getUint16(c + 28, true), off = v.getUint32(c + 42, true)
+        const name = new TextDecoder().decode(zip.subarray(c + 46, c + 46 + nameLen))
+        assert.equal(v.getUint32(off, true), 0x04034b50)
+        const start = off + 30 + v.getUint16(off + 26, true)
+        const data = zip.subarray(start, start + size)
+        assert.equal(crc32(data), v.getUint32(c + 16, true))
+        files[name] = data
+        c += 46 + nameLen
+    }
+    return files
+}
+
+test('a stored ZIP lists every file with its bytes', () => {
+    const files = unzip(zipStore([{ name: 'a.txt', bytes: new TextEncoder().encode('hello') }, { name: 'ünï.bin', bytes: new Uint8Array(0) }]))
+    assert.deepEqual(Object.keys(files), ['a.txt', 'ünï.bin'])
+    assert.equal(new TextDecoder().decode(files['a.txt']), 'hello')
+})
+
+test('the ZIP export holds an index and each entry\'s content', () => {
+    const files = unzip(exportZip([TEXT, FILE, LOCKED]))
+    assert.deepEqual(Object.keys(files), ['history.json', '0007-text.txt', '0012-map_v2.bin', '0013-locked.bin'])
+    const index = JSON.parse(new TextDecoder().decode(files['history.json']))
+    assert.equal(index.entries.length, 3)
+    assert.equal(index.entries[1].file, '0012-map_v2.bin')
+    assert.equal(index.entries[0].time, '2026-04-02T10:30:00.000Z')
+    assert.ok(!('bytes' in index.entries[0]))
+    assert.deepEqual(files['0012-map_v2.bin'], FILE.bytes)
+})
+
+test('the JSON export carries the content as base64', () => {
+    const { entries } = JSON.parse(exportJson([FILE]))
+    assert.equal(entries[0].data, 'AQIDBA==')
+    assert.equal(entries[0].name, 'map/v2.bin')
+    assert.deepEqual(entries[0].config, CONFIG)
+    assert.equal(entryFileName(TEXT), '0007-text.txt')
+})
+
+test('search matches every word across text, names, type and status', () => {
+    assert.ok(matchesQuery(TEXT, 'MEET six'))
+    assert.ok(matchesQuery(FILE, 'map file'))
+    assert.ok(matchesQuery(LOCKED, 'locked'))
+    assert.ok(!matchesQuery(TEXT, 'meet seven'))
+    assert.ok(matchesQuery(TEXT, ''))
+})
@@ -0,0 +1,110 @@
+// Protocol versions: the version byte of the current header, and transmissions of the original
+// acoustic-modem.html (version 1) decoded by the same receiver. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT, TYPE_IMAGE, PROTOCOL_VERSION, HEADER_LEN, HEADER_PARITY, buildHeader, buildFrame, decodeFrame } from '../src/packet.js'
+import { FEC_RATES, rsEncode } from '../src/fec.js'
+import { packBits } from '../src/bitpack.js'
+import { DEFAULT_CONFIG, demodulate, modulate, toneLadder } from '../src/modem.js'
+import {
+    LEGACY_VERSION, LEGACY_PREAMBLE_FREQ, LEGACY_PREAMBLE_SYMS, LEGACY_GAP_MS, LEGACY_TONE_FRAC,
+    encodeLegacyFrame, parseLegacyHeader, decodeLegacyFrame
+} from '../src/legacy.js'
+import { onAir } from './helpers.js'
+
+// The prototype's defaults: 80 ms symbols on 1000 + n × 200 Hz
+const LEGACY_CONFIG = { ...DEFAULT_CONFIG, symDuration: 80, baseFreq: 1000, freqSpacing: 200 }
+const TEXT = new TextEncoder().encode('Sent from the old single-file modem')
+
+// What acoustic-modem.html's transmit() schedules: each tone a fresh oscillator with a 4 ms
+// attack and a 6 ms release, the preamble at gain 0.45 and the nibbles at 0.38
+function renderLegacy(config, frame, sampleRate) {
+    const sym = config.symDuration / 1000
+    const freqs = toneLadder(config, 16)
+    const tones = [{ f: LEGACY_PREAMBLE_FREQ, t: 0, d: sym * LEGACY_PREAMBLE_SYMS, g: 0.45 }]
+    let t = sym * LEGACY_PREAMBLE_SYMS + LEGACY_GAP_MS / 1000
+    for (const nib of packBits(frame, 4)) { tones.push({ f: freqs[nib], t, d: sym * LEGACY_TONE_FRAC, g: 0.38 }); t += sym }
+    const out = new Float32Array(Math.ceil(t * sampleRate))
+    for (const { f, t, d, g } of tones) {
+        const i0 = Math.round(t * sampleRate), n = Math.round(d * sampleRate)
+        for (let i = 0; i < n; i++) {
+            const s = i / sampleRate
+            const env = Math.min(1, s / 0.004, Math.max(0, (d - s) / 0.006))
+            out[i0 + i] += g * env * Math.sin(2 * Math.PI * f * s)
+        }
+    }
+    return out
+}
+
+test('the header leads with the protocol version; another version is reported, not misread', () => {
+    const fec = FEC_RATES.find(r => r.id === '3/4')
+    const h = buildHeader(TYPE_TEXT, TEXT, fec)
+    assert.equal(h.length, HEADER_LEN)
+    assert.equal(h[4], PROTOCOL_VERSION)
+    assert.equal(h[5], TYPE_TEXT)
+
+    const config = { ...DEFAULT_CONFIG, symDuration: 40 }
+    const [ok] = demodulate(config, 48000, onAir(modulate(config, 48000, TYPE_TEXT, TEXT), 48000, { seed: 4 }))
+    assert.equal(ok.status, 'ok')
+    assert.equal(ok.hdr.version, PROTOCOL_VERSION)
+
+    // A future sender: same magic, version 3, its own layout after that, RS-protected like ours
+    const future = new Uint8Array(80).map((_, i) => (i * 37) & 0xff)
+    const futureHead = future.slice(0, HEADER_LEN)
+    futureHead.set([0x41, 0x43, 0x53, 0x54, 3])
+    future.set(rsEncode(futureHead, HEADER_PARITY))
+    const res = decodeFrame(packBits(future, 4), Array(160).fill(1), 4)
+    assert.equal(res.status, 'version')
+    assert.equal(res.version, 3)
+})
+
+test('a current header damaged beyond repair is corrupt, not another version', () => {
+    const fec = FEC_RATES.find(r => r.id === '3/4')
+    const frame = buildFrame(buildHeader(TYPE_TEXT, TEXT, fec), TEXT, fec)
+    // Five bad bytes, one more than HEADER_PARITY repairs, the version byte among them
+    for (const i of [4, 9, 15, 22, 31]) frame[i] ^= 0x5a
+    const res = decodeFrame(packBits(frame, 4), Array(frame.length * 2).fill(1), 4)
+    assert.equal(res.status, 'header')
+})
+
+test('legacy headers and frames parse without a CRC', () => {
+    const frame = encodeLegacyFrame(TYPE_IMAGE, new Uint8Array(300), 48, 36)
+    const hdr = parseLegacyHeader(frame)
+    assert.deepEqual([hdr.version, hdr.type, hdr.payloadLen, hdr.imgW, hdr.imgH, hdr.headerOk], [LEGACY_VERSION, TYPE_IMAGE, 300, 48, 36, true])
+    assert.equal(parseLegacyHeader(encodeLegacyFrame(0x46, TEXT)).headerOk, false)
+
+    const syms = packBits(encodeLegacyFrame(TYPE_TEXT, TEXT), 4)
+    const res = decodeLegacyFrame([3, 9, ...syms], Array(syms.length + 2).fill(1))
+    assert.equal(res.status, 'ok')
+    assert.deepEqual(res.payload, TEXT)
+    const cut = decodeLegacyFrame(syms.slice(0, -10), Array(syms.length).fill(1))
+    assert.equal(cut.status, 'payload')
+    assert.match(cut.reason, /truncated 30\/35/)
+})
+
+test('legacy text and image transmissions decode at 44.1 and 48 kHz', () => {
+    const jpeg = Uint8Array.from({ length: 120 }, (_, i) => (i * 29 + 7) & 0xff)
+    for (const sampleRate of [44100, 48000]) {
+        for (const [type, payload, w, h] of [[TYPE_TEXT, TEXT, 0, 0], [TYPE_IMAGE, jpeg, 12, 10]]) {
+            const pcm = onAir(renderLegacy(LEGACY_CONFIG, encodeLegacyFrame(type, payload, w, h), sampleRate), sampleRate, { seed: 4 })
+            const packets = demodulate(LEGACY_CONFIG, sampleRate, pcm)
+            assert.equal(packets.length, 1, `${sampleRate} Hz`)
+            const [p] = packets
+            assert.equal(p.status, 'ok', `${sampleRate} Hz: ${p.status} ${p.reason ?? ''}`)
+            assert.equal(p.legacy, true)
+            assert.deepEqual([p.hdr.version, p.hdr.type, p.hdr.imgW, p.hdr.imgH], [LEGACY_VERSION, type, w, h])
+            assert.deepEqual(p.payload, payload)
+        }
+    }
+})
+
+test('one receiver hears both generations back to back', () => {
+    const sampleRate = 48000
+    const old = renderLegacy(LEGACY_CONFIG, encodeLegacyFrame(TYPE_TEXT, TEXT), sampleRate)
+    const now = modulate(LEGACY_CONFIG, sampleRate, TYPE_TEXT, TEXT)
+    const both = new Float32Array(old.length + sampleRate + now.length)
+    both.set(old); both.set(now, old.length + sampleRate)
+    const packets = demodulate(LEGACY_CONFIG, sampleRate, onAir(both, sampleRate, { seed: 4 }))
+    assert.deepEqual(packets.map(p => [p.status, p.hdr?.version]), [['ok', LEGACY_VERSION], ['ok', PROTOCOL_VERSION]])
+    for (const p of packets) assert.deepEqual(p.payload, TEXT)
+})
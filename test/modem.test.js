@@ -0,0 +1,216 @@
+// Round trips through the headless modem: every packet type, MFSK order, FEC rate and preamble
+// the UI offers is modulated to PCM, given a noise bed, demodulated and compared byte for byte.
+// Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { FEC_RATES } from '../src/fec.js'
+import { MFSK_ORDERS } from '../src/bitpack.js'
+import { TYPE_TEXT, TYPE_IMAGE, FRAME_HEAD_LEN, BROADCAST, forStation } from '../src/packet.js'
+import { symbolCount } from '../src/bitpack.js'
+import {
+    DEFAULT_CONFIG, PREAMBLES, ladderFits, airtime, segmentSize, modulate, demodulate,
+    encodeTransfer, renderTransfer, PacketAssembler
+} from '../src/modem.js'
+import { TransferReassembler, missingSegments } from '../src/transfer.js'
+import { CHANNEL_DEFAULTS, simulateChannel } from '../src/channel.js'
+import { noise, onAir } from './helpers.js'
+
+const TEXT = new TextEncoder().encode('Hello over the air — ünïcode survives too ✓')
+const IMAGE_W = 16, IMAGE_H = 16
+
+// Deterministic stand-in for a small JPEG: SOI/APP0 marker, pseudo-random body, EOI marker
+function fakeJpeg(len, seed) {
+    const bytes = new Uint8Array(len)
+    const rand = noise(seed)
+    for (let i = 0; i < len; i++) bytes[i] = Math.floor((rand() + 0.5) * 256) & 0xff
+    bytes.set([0xff, 0xd8, 0xff, 0xe0]); bytes.set([0xff, 0xd9], len - 2)
+    return bytes
+}
+
+function roundTrip(config, type, payload, { sampleRate = 48000, imgW = 0, imgH = 0 } = {}) {
+    const pcm = modulate(config, sampleRate, type, payload, imgW, imgH)
+    return demodulate(config, sampleRate, onAir(pcm, sampleRate))
+}
+
+function assertReceived(packets, type, payload) {
+    assert.equal(packets.length, 1, `expected one packet, got ${packets.map(p => p.status).join(', ') || 'none'}`)
+    const [p] = packets
+    assert.equal(p.status, 'ok', p.reason)
+    assert.equal(p.hdr.type, type)
+    assert.deepEqual(p.payload, payload)
+}
+
+function describeConfig(c) {
+    return `MFSK-${c.order} · FEC ${c.fecRate} · ${c.preamble} · ${c.symDuration} ms · ${c.baseFreq}+${c.freqSpacing} Hz`
+}
+
+for (const { order } of MFSK_ORDERS) {
+    for (const { id: fecRate } of FEC_RATES) {
+        for (const { id: preamble } of PREAMBLES) {
+            const text = { ...DEFAULT_CONFIG, order, fecRate, preamble, symDuration: 60 }
+            test(`text · ${describeConfig(text)}`, () => {
+                assertReceived(roundTrip(text, TYPE_TEXT, TEXT), TYPE_TEXT, TEXT)
+            })
+
+            const image = { ...text, symDuration: 30 }
+            const jpeg = fakeJpeg(120, order + fecRate.length)
+            test(`image · ${describeConfig(image)}`, () => {
+                const packets = roundTrip(image, TYPE_IMAGE, jpeg, { imgW: IMAGE_W, imgH: IMAGE_H })
+                assertReceived(packets, TYPE_IMAGE, jpeg)
+                assert.equal(packets[0].hdr.imgW, IMAGE_W)
+                assert.equal(packets[0].hdr.imgH, IMAGE_H)
+            })
+        }
+    }
+}
+
+// Limits of the config bar's number inputs, at both sample rates a browser usually runs at
+const EDGES = [
+    { symDuration: 30, baseFreq: 400, freqSpacing: 50, order: 8 },
+    { symDuration: 400, baseFreq: 400, freqSpacing: 50, order: 64, fecRate: 'off' },
+    { symDuration: 30, baseFreq: 3000, freqSpacing: 500, order: 32 },
+    { symDuration: 100, baseFreq: 3000, freqSpacing: 50, order: 64 },
+    { symDuration: 50, baseFreq: 400, freqSpacing: 500, order: 32, preamble: 'chirp' },
+]
+
+for (const sampleRate of [44100, 48000]) {
+    for (const edge of EDGES) {
+        const config = { ...DEFAULT_CONFIG, ...edge }
+        test(`text at ${sampleRate} Hz · ${describeConfig(config)}`, () => {
+            assert.ok(ladderFits(config.order, config.baseFreq, config.freqSpacing, sampleRate))
+            const payload = TEXT.subarray(0, 12)
+            assertReceived(roundTrip(config, TYPE_TEXT, payload, { sampleRate }), TYPE_TEXT, payload)
+        })
+    }
+}
+
+test('several packets in one recording decode in order', () => {
+    const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 40 }
+    const payloads = ['first', 'second', 'third'].map(t => new TextEncoder().encode(t))
+    const parts = payloads.map(p => onAir(modulate(config, sampleRate, TYPE_TEXT, p), sampleRate, { level: 0 }))
+    const pcm = new Float32Array(parts.reduce((n, p) => n + p.length, 0))
+    parts.reduce((off, p) => { pcm.set(p, off); return off + p.length }, 0)
+    const packets = demodulate(config, sampleRate, onAir(pcm, sampleRate))
+    assert.deepEqual(packets.map(p => new TextDecoder().decode(p.payload)), ['first', 'second', 'third'])
+})
+
+// Without FEC to hide a slip: at 30 ms symbols, a few hundred ppm of clock mismatch either way
+// is enough for dead reckoning alone to lose this image part way through
+for (const driftPpm of [400, -600]) {
+    test(`a long image survives ${driftPpm} ppm of clock drift`, () => {
+        const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 30, fecRate: 'off' }
+        const jpeg = fakeJpeg(400, 7)
+        const pcm = onAir(modulate(config, sampleRate, TYPE_IMAGE, jpeg, IMAGE_W, IMAGE_H), sampleRate)
+        const heard = simulateChannel(pcm, sampleRate, { ...CHANNEL_DEFAULTS, driftPpm }, 3)
+        assertReceived(demodulate(config, sampleRate, heard), TYPE_IMAGE, jpeg)
+    })
+}
+
+// At 120 ms symbols each detector is about 8 Hz wide, so with 50 Hz spacing an offset this size
+// leaves every tone on the skirt of its detector; without AFC the payload does not survive
+for (const offsetHz of [8, 10]) {
+    test(`a close ladder decodes ${offsetHz} Hz off frequency`, () => {
+        const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 120, freqSpacing: 50, fecRate: 'off' }
+        const jpeg = fakeJpeg(40, 5)
+        const pcm = onAir(modulate(config, sampleRate, TYPE_IMAGE, jpeg, IMAGE_W, IMAGE_H), sampleRate)
+        const heard = simulateChannel(pcm, sampleRate, { ...CHANNEL_DEFAULTS, offsetHz }, 3)
+        assertReceived(demodulate(config, sampleRate, heard), TYPE_IMAGE, jpeg)
+    })
+}
+
+test('airtime matches the rendered PCM', () => {
+    const sampleRate = 48000
+    for (const preamble of ['tones', 'chirp']) {
+        const config = { ...DEFAULT_CONFIG, preamble }
+        const pcm = modulate(config, sampleRate, TYPE_TEXT, TEXT)
+        assert.ok(Math.abs(pcm.length / sampleRate * 1000 - airtime(config, TEXT.length).ms) < 1)
+    }
+})
+
+// Every 'ok' packet into a fresh reassembler; returns the transfer the last one belonged to
+function reassemble(packets) {
+    const reassembler = new TransferReassembler()
+    let t = null
+    for (const p of packets) {
+        assert.equal(p.status, 'ok', p.reason)
+        t = reassembler.add(p.hdr, p.payload, p.lowPayload)
+    }
+    return t
+}
+
+test('a long payload goes out in segments and is reassembled', () => {
+    const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 30, order: 32 }
+    const payload = fakeJpeg(2 * segmentSize(config) + 50, 7)
+    const { segments, ms } = airtime(config, payload.length)
+    assert.equal(segments, 3)
+    const pcm = modulate(config, sampleRate, TYPE_IMAGE, payload, IMAGE_W, IMAGE_H)
+    assert.ok(Math.abs(pcm.length / sampleRate * 1000 - ms) < 1)
+    const packets = demodulate(config, sampleRate, onAir(pcm, sampleRate))
+    assert.equal(packets.length, 3)
+    const t = reassemble(packets)
+    assert.equal(t.complete, true)
+    assert.equal(t.imgW, IMAGE_W)
+    assert.deepEqual(t.payload, payload)
+})
+
+test('segments reassemble in any order and missing ones are reported', () => {
+    const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 30, order: 32 }
+    const payload = fakeJpeg(2 * segmentSize(config) + 50, 8)
+    const frames = encodeTransfer(config, TYPE_IMAGE, payload, IMAGE_W, IMAGE_H, 0x1234)
+    const reassembler = new TransferReassembler()
+    const hear = order => demodulate(config, sampleRate, onAir(renderTransfer(config, order.map(i => frames[i]), sampleRate), sampleRate))
+        .map(p => reassembler.add(p.hdr, p.payload, p.lowPayload))
+
+    const partial = hear([2, 0]).pop()
+    assert.equal(partial.id, 0x1234)
+    assert.equal(partial.complete, false)
+    assert.deepEqual(missingSegments(partial), [1])
+    const whole = hear([1]).pop()
+    assert.equal(whole.complete, true)
+    assert.deepEqual(whole.payload, payload)
+})
+
+test('two stations that pick the same transfer ID are reassembled apart', () => {
+    const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 30, order: 32 }
+    const payloads = [fakeJpeg(segmentSize(config) + 40, 3), fakeJpeg(segmentSize(config) + 40, 4)]
+    const [a, b] = payloads.map((p, i) =>
+        encodeTransfer(config, TYPE_IMAGE, p, IMAGE_W, IMAGE_H, 0x1234, 0, { src: 10 + i, dst: BROADCAST, channel: 0 }))
+    const reassembler = new TransferReassembler()
+    const heard = demodulate(config, sampleRate, onAir(renderTransfer(config, [a[0], b[0], a[1], b[1]], sampleRate), sampleRate))
+        .map(p => reassembler.add(p.hdr, p.payload, p.lowPayload))
+    assert.equal(heard.length, 4)
+    const done = heard.slice(2)
+    assert.deepEqual(done.map(t => [t.src, t.complete]), [[10, true], [11, true]])
+    assert.deepEqual(done.map(t => t.payload), payloads)
+})
+
+test('frames carry source, destination and channel, and stations pick out their own', () => {
+    const config = { ...DEFAULT_CONFIG, symDuration: 30 }
+    const frames = encodeTransfer(config, TYPE_TEXT, TEXT, 0, 0, 7, 0, { src: 12, dst: 40, channel: 3 })
+    const [p] = demodulate(config, 48000, onAir(renderTransfer(config, frames, 48000), 48000))
+    assert.equal(p.status, 'ok')
+    assert.deepEqual([p.hdr.src, p.hdr.dst, p.hdr.channel], [12, 40, 3])
+
+    assert.equal(forStation(p.hdr, { id: 40, channel: 3 }), true)
+    assert.equal(forStation(p.hdr, { id: 41, channel: 3 }), false)   // another station's
+    assert.equal(forStation(p.hdr, { id: 40, channel: 0 }), false)   // another channel's
+    assert.equal(forStation({ ...p.hdr, dst: BROADCAST }, { id: 41, channel: 3 }), true)
+    assert.equal(forStation({ ...p.hdr, dst: BROADCAST }, { id: 41, channel: 4 }), false)
+    assert.equal(forStation({ ...p.hdr, dst: BROADCAST, channel: null }, { id: 41, channel: 4 }), true)   // legacy
+})
+
+test('a reception without a valid header ends after twice the header length', () => {
+    const events = []
+    const assembler = new PacketAssembler({ command: () => {}, onEvent: e => events.push(e) })
+    assembler.handle({ type: 'data' })
+    const limit = 2 * symbolCount(FRAME_HEAD_LEN, 4)
+    for (let i = 0; i < limit; i++) assembler.handle({ type: 'symbol', symbol: i % 16, confidence: 1 })
+    assert.equal(events.at(-1).type, 'packet')
+    assert.equal(events.at(-1).status, 'nosync')
+    assert.equal(events.filter(e => e.type === 'packet').length, 1)
+})
+
+test('a ladder above the usable band is refused', () => {
+    const config = { ...DEFAULT_CONFIG, order: 64, baseFreq: 3000, freqSpacing: 500 }
+    assert.throws(() => modulate(config, 48000, TYPE_TEXT, TEXT), RangeError)
+})
@@ -0,0 +1,101 @@
+// Frame decoding on damaged receptions: the CRCs that reject a bad header or payload, how much
+// Reed-Solomon repairs in the payload with and without erasures, and what the interleaver does
+// to a burst. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT, HEADER_LEN, FRAME_HEAD_LEN, buildHeader, buildFrame, decodeFrame } from '../src/packet.js'
+import { FEC_RATES } from '../src/fec.js'
+import { packBits, byteSymbols } from '../src/bitpack.js'
+
+const FEC_OFF = FEC_RATES.find(r => r.id === 'off')
+const RS_7_8 = FEC_RATES.find(r => r.id === '7/8')   // 223 data + 32 parity: repairs 16 bytes per codeword
+const BITS = 4
+
+function payloadOf(len) {
+    return Uint8Array.from({ length: len }, (_, i) => (i * 37 + 11) & 0xff)
+}
+
+function frameOf(payload, fec) {
+    return buildFrame(buildHeader(TYPE_TEXT, payload, fec), payload, fec)
+}
+
+// Frame as the demodulator would report it: every symbol heard with full confidence except
+// those of the frame bytes listed in low, which come in as ties (erasures)
+function receive(frame, low = []) {
+    const raw = packBits(frame, BITS)
+    const conf = new Array(raw.length).fill(1)
+    for (const i of low) {
+        const [first, last] = byteSymbols(i, BITS)
+        for (let s = first; s <= last; s++) conf[s] = 0
+    }
+    return decodeFrame(raw, conf, BITS)
+}
+
+// Damages count payload-stream bytes from start (offsets into the FEC body, after the header)
+function corrupt(frame, start, count) {
+    const out = Uint8Array.from(frame)
+    for (let i = start; i < start + count; i++) out[FRAME_HEAD_LEN + i] ^= 0x5a
+    return out
+}
+
+test('an undamaged frame decodes', () => {
+    const payload = payloadOf(100)
+    const res = receive(frameOf(payload, FEC_OFF))
+    assert.equal(res.status, 'ok')
+    assert.equal(res.corrected, 0)
+    assert.deepEqual(res.payload, payload)
+})
+
+test('the payload CRC rejects a single flipped bit when nothing repairs it', () => {
+    const frame = frameOf(payloadOf(100), FEC_OFF)
+    frame[FRAME_HEAD_LEN + 57] ^= 0x08
+    const res = receive(frame)
+    assert.equal(res.status, 'payload')
+    assert.equal(res.payload[57], payloadOf(100)[57] ^ 0x08)
+})
+
+test('the header CRC rejects a header damaged beyond its RS repair', () => {
+    // Five bad bytes: one more than the header parity repairs, none of them in the magic
+    const frame = frameOf(payloadOf(100), FEC_OFF)
+    for (const i of [6, 12, 20, 26, HEADER_LEN + 2]) frame[i] ^= 0x5a
+    assert.equal(receive(frame).status, 'header')
+})
+
+test('RS repairs a payload codeword up to nsym / 2 bad bytes', () => {
+    const payload = payloadOf(RS_7_8.k)
+    const res = receive(corrupt(frameOf(payload, RS_7_8), 40, RS_7_8.nsym / 2))
+    assert.equal(res.status, 'ok')
+    assert.equal(res.corrected, RS_7_8.nsym / 2)
+    assert.deepEqual(res.payload, payload)
+})
+
+test('one bad byte past the RS limit fails the payload check', () => {
+    const payload = payloadOf(RS_7_8.k)
+    const res = receive(corrupt(frameOf(payload, RS_7_8), 40, RS_7_8.nsym / 2 + 1))
+    assert.equal(res.status, 'payload')
+    assert.match(res.reason, /1 uncorrectable block/)
+})
+
+test('the interleaver spreads a burst over codewords so each one can repair its share', () => {
+    // Two full codewords sent column by column: a burst of nsym consecutive bytes is twice what
+    // one codeword could repair, but lands nsym / 2 in each
+    const payload = payloadOf(2 * RS_7_8.k)
+    const res = receive(corrupt(frameOf(payload, RS_7_8), 100, RS_7_8.nsym))
+    assert.equal(res.status, 'ok')
+    assert.equal(res.corrected, RS_7_8.nsym)
+    assert.deepEqual(res.payload, payload)
+})
+
+test('low-confidence symbols are erasures, so RS repairs up to nsym of them', () => {
+    // Three quarters of the parity in bad bytes: beyond repair as unknown errors, but fine once
+    // the receiver says where they are
+    const payload = payloadOf(RS_7_8.k)
+    const bad = RS_7_8.nsym * 3 / 4
+    const frame = corrupt(frameOf(payload, RS_7_8), 40, bad)
+    assert.equal(receive(frame).status, 'payload')
+    const flagged = Array.from({ length: bad }, (_, i) => FRAME_HEAD_LEN + 40 + i)
+    const res = receive(frame, flagged)
+    assert.equal(res.status, 'ok')
+    assert.equal(res.corrected, bad)
+    assert.deepEqual(res.payload, payload)
+})
@@ -0,0 +1,62 @@
+// Waterfall diagnostics: the row ring and its time lookup, mark pruning, and the demodulator's
+// window events that the view overlays. Run with `npm test`.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TYPE_TEXT } from '../src/packet.js'
+import { DEFAULT_CONFIG, demodulatorOptions, encodeTransfer, renderTransfer } from '../src/modem.js'
+import { Demodulator } from '../src/demodulator.js'
+import { Waterfall, WATERFALL_ROW_S } from '../src/waterfall.js'
+import { onAir } from './helpers.js'
+
+const row = v => new Uint8Array(8).fill(v)
+const STEP = 0.025   // a little over WATERFALL_ROW_S, and exact in binary
+
+test('rows are rate-limited and located by time, oldest dropping off', () => {
+    const wf = new Waterfall(1)   // 50 rows
+    assert.equal(wf.rowsAgo(0), null)
+    assert.equal(wf.push(0, row(1)), true)
+    assert.equal(wf.push(WATERFALL_ROW_S / 2, row(1)), false)
+    for (let i = 1; i < 80; i++) wf.push(i * STEP, row(i))
+    assert.equal(wf.count, 80)
+    assert.equal(wf.oldestTime(), 30 * STEP)
+    assert.equal(wf.rowsAgo(29 * STEP), null)
+    assert.equal(wf.rowsAgo(79 * STEP), 0)
+    assert.ok(Math.abs(wf.rowsAgo(69.5 * STEP) - 9.5) < 1e-9)
+    assert.ok(wf.rowsAgo(81 * STEP) < 0)
+})
+
+test('marks older than the view are pruned; a new row width starts afresh', () => {
+    const wf = new Waterfall(1)
+    wf.push(0, row(0))
+    wf.mark({ kind: 'preamble', time: 0.01, label: 'PREAMBLE' })
+    wf.mark({ kind: 'window', start: 0.5, end: 0.6, symbol: 3, present: true, header: false })
+    for (let i = 1; i <= 60; i++) wf.push(i * STEP, row(i))
+    assert.deepEqual(wf.marks.map(m => m.kind), ['window'])
+    wf.push(2, new Uint8Array(16))
+    assert.equal(wf.count, 1)
+    assert.equal(wf.marks.length, 0)
+})
+
+test('window events tile the data from its start and carry the decided symbols', () => {
+    const sampleRate = 48000, config = { ...DEFAULT_CONFIG, symDuration: 40 }
+    const pcm = renderTransfer(config, encodeTransfer(config, TYPE_TEXT, new TextEncoder().encode('tick tock'), 0, 0, 5), sampleRate)
+    const lead = sampleRate / 2
+    const padded = onAir(pcm, sampleRate, { seed: 9 })
+
+    const events = []
+    const demod = new Demodulator({ ...demodulatorOptions(config, sampleRate), onEvent: e => events.push(e) })
+    for (let i = 0; i < padded.length; i += 128) demod.process(padded.subarray(i, i + 128))
+
+    const preamble = events.find(e => e.type === 'preamble')
+    const data = events.find(e => e.type === 'data')
+    assert.ok(preamble.at > lead - sampleRate * 0.05 && preamble.at < data.at, `${preamble.at} / ${data.at}`)
+    const windows = events.filter(e => e.type === 'window' && e.start >= data.at)
+    assert.equal(windows[0].start, data.at)
+    const hop = Math.round(config.symDuration * sampleRate / 1000)
+    for (let i = 1; i < windows.length; i++) {
+        assert.equal(windows[i].start, windows[i - 1].end)
+        assert.ok(Math.abs(windows[i].end - windows[i].start - hop) <= hop * 0.05)
+    }
+    const decided = events.filter(e => e.type === 'symbol').map(e => e.symbol)
+    assert.deepEqual(windows.filter(w => w.present && !w.header).map(w => w.symbol).slice(0, decided.length), decided)
+})